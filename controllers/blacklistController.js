@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const PhoneReputation = require('../models/PhoneReputation');
+const ReputationReport = require('../models/ReputationReport');
+const { normalizePhone, isFlagged } = require('../services/phoneReputation');
+const { parsePagination } = require('../services/orderQuery');
+const { releaseHeldOrders } = require('../services/orderActions');
+
+const BlacklistController = {
+    /**
+     * @desc    List shared blacklist entries.
+     * Query: status (auto|blacklisted|cleared), dispute (open), page, limit.
+     * @route   GET /blacklist
+     * @access  SuperAdmin
+     */
+    listEntries: async (req, res) => {
+        try {
+            const { status, dispute } = req.query;
+            const filter = {};
+            if (status) {
+                filter.status = status;
+            }
+            if (dispute === 'open') {
+                filter['disputes.status'] = 'open';
+            }
+            const { page, limit, skip } = parsePagination(req.query);
+
+            const [entries, total] = await Promise.all([
+                PhoneReputation.find(filter).sort({ lastReportedAt: -1 }).skip(skip).limit(limit).lean(),
+                PhoneReputation.countDocuments(filter)
+            ]);
+            const results = entries.map(entry => ({ ...entry, flagged: isFlagged(entry) }));
+            res.status(200).json({ entries: results, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+        } catch (error) {
+            console.error('List shared blacklist error:', error);
+            res.status(500).json({ message: 'Server error fetching the shared blacklist.' });
+        }
+    },
+
+    /**
+     * @desc    Get one number's entry, including the tenants that reported it and its reports.
+     * @route   GET /blacklist/:phone
+     * @access  SuperAdmin
+     */
+    getEntry: async (req, res) => {
+        try {
+            const phone = normalizePhone(req.params.phone);
+            const entry = await PhoneReputation.findOne({ phone })
+                .select('+reportingTenants')
+                .populate('reportingTenants', 'name subdomain tenantId')
+                .populate('disputes.reportedBy', 'name subdomain tenantId')
+                .lean();
+            if (!entry) {
+                return res.status(404).json({ message: 'Number not found in the shared blacklist.' });
+            }
+            const reports = await ReputationReport.find({ phone }).sort({ createdAt: -1 }).lean();
+            res.status(200).json({ ...entry, flagged: isFlagged(entry), reports });
+        } catch (error) {
+            console.error('Get shared blacklist entry error:', error);
+            res.status(500).json({ message: 'Server error fetching the entry.' });
+        }
+    },
+
+    /**
+     * @desc    Force a number onto or off the blacklist, or hand it back to the automatic thresholds.
+     * Clearing a number releases the orders held because of it, in every tenant.
+     * Body: { status: 'blacklisted' | 'cleared' | 'auto', note }
+     * @route   PATCH /blacklist/:phone/status
+     * @access  SuperAdmin
+     */
+    updateStatus: async (req, res) => {
+        try {
+            const { status, note } = req.body;
+            if (!['auto', 'blacklisted', 'cleared'].includes(status)) {
+                return res.status(400).json({ message: 'Status must be one of: auto, blacklisted, cleared.' });
+            }
+            const phone = normalizePhone(req.params.phone);
+            // Numbers can be blacklisted manually before any tenant reported them.
+            const entry = await PhoneReputation.findOneAndUpdate(
+                { phone },
+                { $set: { status, statusNote: note || '', statusChangedAt: new Date() } },
+                { new: true, upsert: status === 'blacklisted' }
+            );
+            if (!entry) {
+                return res.status(404).json({ message: 'Number not found in the shared blacklist.' });
+            }
+            const releasedOrders = status === 'cleared' ? await releaseHeldOrders(phone) : 0;
+            res.status(200).json({ message: 'Status updated.', entry, releasedOrders });
+        } catch (error) {
+            console.error('Update shared blacklist status error:', error);
+            res.status(500).json({ message: 'Server error updating the status.' });
+        }
+    },
+
+    /**
+     * @desc    Resolve a dispute. Accepting it clears the number and releases the orders held because of it.
+     * Body: { decision: 'accepted' | 'rejected', resolution }
+     * @route   PATCH /blacklist/:phone/disputes/:disputeId
+     * @access  SuperAdmin
+     */
+    resolveDispute: async (req, res) => {
+        try {
+            const { decision, resolution } = req.body;
+            if (!['accepted', 'rejected'].includes(decision)) {
+                return res.status(400).json({ message: 'Decision must be "accepted" or "rejected".' });
+            }
+            if (!mongoose.isValidObjectId(req.params.disputeId)) {
+                return res.status(400).json({ message: 'Invalid dispute ID.' });
+            }
+            const entry = await PhoneReputation.findOne({ phone: normalizePhone(req.params.phone) });
+            const dispute = entry?.disputes.id(req.params.disputeId);
+            if (!dispute) {
+                return res.status(404).json({ message: 'Dispute not found.' });
+            }
+            if (dispute.status !== 'open') {
+                return res.status(409).json({ message: `This dispute was already ${dispute.status}.` });
+            }
+
+            dispute.status = decision;
+            dispute.resolution = resolution || '';
+            dispute.resolvedAt = new Date();
+            if (decision === 'accepted') {
+                entry.status = 'cleared';
+                entry.statusNote = resolution || 'Dispute accepted.';
+                entry.statusChangedAt = new Date();
+            }
+            await entry.save();
+            const releasedOrders = decision === 'accepted' ? await releaseHeldOrders(entry.phone) : 0;
+            res.status(200).json({ message: `Dispute ${decision}.`, entry, releasedOrders });
+        } catch (error) {
+            console.error('Resolve shared blacklist dispute error:', error);
+            res.status(500).json({ message: 'Server error resolving the dispute.' });
+        }
+    },
+
+    /**
+     * @desc    Remove a number and all of its reports from the shared store (e.g. a removal request),
+     * releasing the orders held because of it.
+     * @route   DELETE /blacklist/:phone
+     * @access  SuperAdmin
+     */
+    deleteEntry: async (req, res) => {
+        try {
+            const phone = normalizePhone(req.params.phone);
+            const [entry, reports] = await Promise.all([
+                PhoneReputation.deleteOne({ phone }),
+                ReputationReport.deleteMany({ phone })
+            ]);
+            if (entry.deletedCount === 0 && reports.deletedCount === 0) {
+                return res.status(404).json({ message: 'Number not found in the shared blacklist.' });
+            }
+            const releasedOrders = await releaseHeldOrders(phone);
+            res.status(200).json({ message: 'Number removed from the shared blacklist.', removedReports: reports.deletedCount, releasedOrders });
+        } catch (error) {
+            console.error('Delete shared blacklist entry error:', error);
+            res.status(500).json({ message: 'Server error removing the number.' });
+        }
+    }
+};
+
+module.exports = BlacklistController;
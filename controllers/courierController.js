@@ -0,0 +1,208 @@
+const Client = require('../models/Client');
+const Shipment = require('../models/Shipment');
+const { listProviders, getProvider, resolveCourierAccount } = require('../services/couriers');
+const {
+    dispatchOrder, refreshTracking, getShipmentLabel, cancelShipment
+} = require('../services/courierShipments');
+const { handleCourierWebhook } = require('../services/courierWebhooks');
+const { parsePagination } = require('../services/orderQuery');
+
+/**
+ * Sends a service error with its status code, or a generic 500.
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : fallbackMessage, ...error.details });
+};
+
+/**
+ * A courier account without its secrets: credential values are masked.
+ */
+const toPublicAccount = (account) => ({
+    _id: account._id,
+    provider: account.provider,
+    label: account.label,
+    isDefault: account.isDefault,
+    enabled: account.enabled,
+    credentials: Object.fromEntries(Object.keys(account.credentials || {}).map(key => [key, '********']))
+});
+
+const CourierController = {
+    /**
+     * @desc    List the available courier providers and the credentials they need.
+     * @route   GET /couriers/providers
+     * @access  Private (Admin)
+     */
+    getProviders: (req, res) => {
+        res.status(200).json(listProviders());
+    },
+
+    /**
+     * @desc    List the tenant's courier accounts (credentials masked).
+     * @route   GET /couriers/accounts
+     * @access  Private (Admin)
+     */
+    getAccounts: (req, res) => {
+        res.status(200).json((req.tenant.config?.couriers || []).map(toPublicAccount));
+    },
+
+    /**
+     * @desc    Replace the tenant's courier accounts. A masked credential ("********") keeps its stored value.
+     * Body: { accounts: [{ provider, label, isDefault, enabled, credentials: { key: value } }] }
+     * @route   PUT /couriers/accounts
+     * @access  Private (Admin)
+     */
+    updateAccounts: async (req, res) => {
+        try {
+            const { accounts } = req.body;
+            if (!Array.isArray(accounts)) {
+                return res.status(400).json({ message: 'accounts must be an array.' });
+            }
+            if (accounts.filter(account => account.isDefault).length > 1) {
+                return res.status(400).json({ message: 'Only one courier account can be the default.' });
+            }
+
+            const existing = req.tenant.config?.couriers || [];
+            const couriers = accounts.map(account => {
+                const provider = getProvider(account.provider);
+                const previous = existing.find(candidate => candidate.provider === provider.key)?.credentials || {};
+                const credentials = {};
+                for (const [key, value] of Object.entries(account.credentials || {})) {
+                    if (!provider.credentialFields.includes(key)) {
+                        continue;
+                    }
+                    credentials[key] = value === '********' ? previous[key] : String(value);
+                }
+                return {
+                    provider: provider.key,
+                    label: account.label || provider.name,
+                    isDefault: Boolean(account.isDefault),
+                    enabled: account.enabled !== false,
+                    credentials
+                };
+            });
+
+            const client = await Client.findByIdAndUpdate(
+                req.tenant._id,
+                { $set: { 'config.couriers': couriers } },
+                { new: true, runValidators: true }
+            ).lean();
+            res.status(200).json(client.config.couriers.map(toPublicAccount));
+        } catch (error) {
+            console.error('Update courier accounts error:', error);
+            sendError(res, error, 'Server error updating courier accounts.');
+        }
+    },
+
+    /**
+     * @desc    Create a shipment for a confirmed order and dispatch it.
+     * Body: { provider } (optional; defaults to the tenant's default account)
+     * @route   POST /couriers/orders/:orderId/shipment
+     * @access  Private (Admin, Confirmation)
+     */
+    createShipment: async (req, res) => {
+        try {
+            if (!resolveCourierAccount(req.tenant, req.body.provider)) {
+                return res.status(400).json({ message: 'No default courier account is configured. Choose a provider.' });
+            }
+            const order = await dispatchOrder({
+                tenant: req.tenant, orderId: req.params.orderId, provider: req.body.provider, user: req.user, req
+            });
+            const shipment = order.courier?.shipment ? await Shipment.findById(order.courier.shipment) : null;
+            res.status(201).json({ message: 'Order dispatched.', order, shipment });
+        } catch (error) {
+            console.error('Create shipment error:', error);
+            sendError(res, error, 'Server error creating the shipment.');
+        }
+    },
+
+    /**
+     * @desc    List the tenant's shipments. Query: status, orderId, page, limit.
+     * @route   GET /couriers/shipments
+     * @access  Private (Admin, Confirmation)
+     */
+    getShipments: async (req, res) => {
+        try {
+            const filter = { tenantId: req.tenant._id };
+            if (req.query.status) {
+                filter.status = req.query.status;
+            }
+            if (req.query.orderId) {
+                filter.orderId = req.query.orderId;
+            }
+            const { page, limit, skip } = parsePagination(req.query);
+            const [shipments, total] = await Promise.all([
+                Shipment.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+                Shipment.countDocuments(filter)
+            ]);
+            res.status(200).json({ shipments, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+        } catch (error) {
+            console.error('List shipments error:', error);
+            res.status(500).json({ message: 'Server error fetching shipments.' });
+        }
+    },
+
+    /**
+     * @desc    Refresh a shipment's tracking from the courier.
+     * @route   GET /couriers/shipments/:shipmentId/tracking
+     * @access  Private (Admin, Confirmation)
+     */
+    getTracking: async (req, res) => {
+        try {
+            const shipment = await refreshTracking({ tenant: req.tenant, shipmentId: req.params.shipmentId, req });
+            res.status(200).json(shipment);
+        } catch (error) {
+            console.error('Shipment tracking error:', error);
+            sendError(res, error, 'Server error fetching shipment tracking.');
+        }
+    },
+
+    /**
+     * @desc    Download a shipment's label from the courier.
+     * @route   GET /couriers/shipments/:shipmentId/label
+     * @access  Private (Admin, Confirmation)
+     */
+    getLabel: async (req, res) => {
+        try {
+            const label = await getShipmentLabel({ tenant: req.tenant, shipmentId: req.params.shipmentId });
+            res.setHeader('Content-Type', label.contentType);
+            res.setHeader('Content-Disposition', `inline; filename="${label.filename}"`);
+            res.status(200).send(label.data);
+        } catch (error) {
+            console.error('Shipment label error:', error);
+            sendError(res, error, 'Server error fetching the shipment label.');
+        }
+    },
+
+    /**
+     * @desc    Receive delivery status events from a courier (signed with the account's webhookSecret).
+     * The store is identified by its subdomain, so each store has its own webhook URL.
+     * @route   POST /couriers/webhooks/:provider
+     * @access  Public (signature-verified)
+     */
+    receiveWebhook: async (req, res) => {
+        try {
+            const result = await handleCourierWebhook({ tenant: req.tenant, providerKey: req.params.provider, req });
+            res.status(200).json(result);
+        } catch (error) {
+            console.error('Courier webhook error:', error);
+            sendError(res, error, 'Server error processing the webhook.');
+        }
+    },
+
+    /**
+     * @desc    Cancel a shipment; a dispatched order goes back to 'confirmed'.
+     * @route   POST /couriers/shipments/:shipmentId/cancel
+     * @access  Private (Admin)
+     */
+    cancelShipment: async (req, res) => {
+        try {
+            const shipment = await cancelShipment({ tenant: req.tenant, shipmentId: req.params.shipmentId, user: req.user, req });
+            res.status(200).json({ message: 'Shipment cancelled.', shipment });
+        } catch (error) {
+            console.error('Cancel shipment error:', error);
+            sendError(res, error, 'Server error cancelling the shipment.');
+        }
+    }
+};
+
+module.exports = CourierController;
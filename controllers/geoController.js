@@ -0,0 +1,33 @@
+const { listWilayas, findWilaya } = require('../services/geo');
+
+// The reference data only changes with a deploy, so clients and CDNs may cache it.
+const CACHE_CONTROL = 'public, max-age=86400';
+
+const GeoController = {
+    /**
+     * @desc    List the 58 wilayas with their codes and French/Arabic names.
+     * @route   GET /geo/wilayas
+     * @access  Public
+     */
+    getWilayas: (req, res) => {
+        res.set('Cache-Control', CACHE_CONTROL).status(200).json(listWilayas());
+    },
+
+    /**
+     * @desc    List the communes of a wilaya, given by code or name.
+     * @route   GET /geo/wilayas/:id/communes
+     * @access  Public
+     */
+    getCommunes: (req, res) => {
+        const wilaya = findWilaya(req.params.id);
+        if (!wilaya) {
+            return res.status(404).json({ message: `Unknown wilaya: ${req.params.id}.` });
+        }
+        res.set('Cache-Control', CACHE_CONTROL).status(200).json({
+            wilaya: { code: wilaya.code, name: wilaya.name, name_ar: wilaya.name_ar },
+            communes: wilaya.communes
+        });
+    }
+};
+
+module.exports = GeoController;
@@ -23,12 +23,19 @@
  * reliably populated by the `identifyTenant` middleware.
  */
 
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const PromoImage = require('../models/imagespromo');
 const Collection = require('../models/Collection');
 const Client = require('../models/Client');
 const multer = require('multer');
 const { body, param, validationResult } = require('express-validator');
+const { parseSkus, assertBarcodesAvailable, findProductByBarcode } = require('../services/productSkus');
+const { httpError } = require('../services/httpError');
+const { ADJUSTMENT_TYPES, adjustStock, withAvailability } = require('../services/inventory');
+const { getStockLevels, recordStockChanges, getStockHistory, checkStockConsistency } = require('../services/stockLedger');
+const { parsePagination } = require('../services/orderQuery');
+const { getLowStockReport } = require('../services/stockAlerts');
 const fs = require('fs');
 const path = require('path');
 
@@ -157,9 +164,12 @@ const uploadPromoImages = async (req, res) => {
 const addProduct = [
     body('name').trim().notEmpty().withMessage('Product name is required.'),
     body('description').trim().notEmpty().withMessage('Description is required.'),
-    body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer.'),
+    // Products with SKUs take their quantity from them.
+    body('quantity').if(body('skus').not().exists()).isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer.'),
     body('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number.'),
     body('barcode').optional().trim().notEmpty().withMessage('Barcode cannot be an empty string.'),
+    body('shippingSurcharge').optional().isFloat({ min: 0 }).withMessage('Shipping surcharge must be a non-negative number.'),
+    body('reorderThreshold').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Reorder threshold must be a non-negative integer.'),
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -168,7 +178,7 @@ const addProduct = [
             }
             
             const tenantObjectId = req.client._id;
-            const { name, description, quantity, price, olprice, variants, barcode } = req.body;
+            const { name, description, quantity, price, olprice, variants, barcode, shippingSurcharge, reorderThreshold, skus } = req.body;
 
             if (!req.files || req.files.length === 0) {
                 return res.status(400).json({ error: 'At least one image is required.' });
@@ -195,6 +205,9 @@ const addProduct = [
                 });
             }
 
+            const parsedSkus = skus ? parseSkus(skus, formattedVariants) : [];
+            await assertBarcodesAvailable(tenantObjectId, null, [barcode, ...parsedSkus.map(sku => sku.barcode)]);
+
             const imagesForDb = req.files.map(file => {
                 const relativePath = path.join('/uploads', req.client.subdomain, file.filename);
                 return {
@@ -211,13 +224,20 @@ const addProduct = [
                 price,
                 olprice,
                 barcode,
+                shippingSurcharge,
+                reorderThreshold: reorderThreshold || reorderThreshold === 0 ? reorderThreshold : null,
                 images: imagesForDb,
                 variants: formattedVariants,
+                skus: parsedSkus,
             });
 
             await newProduct.save();
+            await recordStockChanges({ product: newProduct, before: new Map(), after: getStockLevels(newProduct), user: req.user });
             res.status(201).json(newProduct);
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
             if (error.code === 11000 && error.keyPattern && error.keyPattern.barcode) {
                 return res.status(409).json({ message: 'A product with this barcode already exists for this tenant.' });
             }
@@ -231,7 +251,7 @@ const getProducts = async (req, res) => {
     try {
         const tenantObjectId = req.client._id;
         const products = await Product.find({ tenantId: tenantObjectId }).sort({ createdAt: -1 }).lean();
-        res.json(products);
+        res.json(products.map(withAvailability));
     } catch (error) {
         console.error('Error fetching products:', error);
         res.status(500).json({ message: 'Server error fetching products.' });
@@ -244,7 +264,7 @@ const getPublicProducts = async (req, res) => {
         const lang = req.query.lang || 'en';
         const products = await Product.find({ tenantId: tenantObjectId }).sort({ createdAt: -1 }).lean();
 
-        const translatedProducts = products.map(product => {
+        const translatedProducts = products.map(withAvailability).map(product => {
             if (lang !== 'en' && product.translations && product.translations[lang]) {
                 const translatedProduct = { ...product };
                 translatedProduct.name = product.translations[lang].name || product.name;
@@ -271,7 +291,7 @@ const getProductById = [
             if (!product) {
                 return res.status(404).json({ error: 'Product not found.' });
             }
-            res.json(product);
+            res.json(withAvailability(product));
         } catch (error) {
             console.error('Error fetching product by ID:', error);
             res.status(500).json({ message: 'Server error fetching product by ID.' });
@@ -284,15 +304,14 @@ const getProductByBarcode = [
     async (req, res) => {
         try {
             const tenantObjectId = req.client._id;
-            const product = await Product.findOne({
-                barcode: req.params.barcode,
-                tenantId: tenantObjectId
-            }).lean();
+            const match = await findProductByBarcode(tenantObjectId, req.params.barcode);
 
-            if (!product) {
+            if (!match) {
                 return res.status(404).json({ message: 'Product with this barcode not found for this tenant.' });
             }
-            res.json(product);
+            // `matchedSku` is set when the barcode belongs to one of the product's variants.
+            const product = withAvailability(match.product);
+            res.json({ ...product, matchedSku: match.sku && product.skus.find(sku => String(sku._id) === String(match.sku._id)) });
         } catch (error) {
             console.error('Error fetching product by barcode:', error);
             res.status(500).json({ message: 'Server error fetching product by barcode.' });
@@ -301,53 +320,171 @@ const getProductByBarcode = [
 ];
 
 
+/**
+ * Plans the stock side of a product edit. SKUs that are kept keep their on-hand and reserved
+ * stock in the document; a new on-hand quantity is returned as an edit, applied afterwards as an
+ * atomic `$inc` (see services/inventory.js), so stock moved by orders in the meantime is not lost.
+ * SKUs and product totals that appear or disappear are returned as ledger levels.
+ * @param {object} product - The product document, with its new variants.
+ * @param {object} changes - `{ quantity, skus }` from the request.
+ * @returns {object} `{ edits: [{ skuId, quantity }], before, after }`; before/after are ledger levels
+ * of the SKUs (or product total) added or removed.
+ */
+const planStockEdits = (product, { quantity, skus }) => {
+    const edits = [];
+    const before = new Map();
+    const after = new Map();
+    const hadSkus = product.skus.length > 0;
+
+    if (skus !== undefined || (product.isModified('variants') && hadSkus)) {
+        const rawSkus = skus !== undefined ? skus : product.skus.map(sku => sku.toObject({ flattenMaps: true }));
+        const parsed = parseSkus(rawSkus, product.variants);
+        const current = new Map(product.skus.map(sku => [String(sku._id), sku]));
+        const kept = new Set(parsed.filter(sku => sku._id).map(sku => String(sku._id)));
+
+        if (!hadSkus && parsed.length > 0 && product.reserved > 0) {
+            throw httpError(409, `${product.reserved} units of this product are reserved by orders: it cannot be split into SKUs until they are confirmed or released.`);
+        }
+        for (const [id, sku] of current) {
+            if (kept.has(id)) {
+                continue;
+            }
+            if (sku.reserved > 0) {
+                throw httpError(409, `SKU ${sku.sku || id} has ${sku.reserved} units reserved by orders and cannot be removed.`);
+            }
+            before.set(id, sku.quantity);
+        }
+        if (!hadSkus && parsed.length > 0) {
+            before.set('', product.quantity);
+        }
+
+        product.skus = parsed.map(sku => {
+            const existing = sku._id && current.get(String(sku._id));
+            if (!existing) {
+                return { ...sku, reserved: 0 };
+            }
+            if (sku.quantity < (existing.reserved || 0)) {
+                throw httpError(409, `SKU ${existing.sku || existing._id}: quantity cannot be lower than the ${existing.reserved} units reserved by orders.`);
+            }
+            if (sku.quantity !== existing.quantity) {
+                edits.push({ skuId: existing._id, quantity: sku.quantity });
+            }
+            // Reservations are only moved by orders.
+            return { ...sku, quantity: existing.quantity, reserved: existing.reserved || 0 };
+        });
+        product.skus
+            .filter(sku => !current.has(String(sku._id)))
+            .forEach(sku => after.set(String(sku._id), sku.quantity));
+        if (hadSkus && parsed.length === 0) {
+            // Back to a single stock level, starting from nothing.
+            product.quantity = 0;
+            product.reserved = 0;
+        }
+    }
+
+    if (product.skus.length === 0 && quantity !== undefined && quantity !== null && quantity !== '') {
+        const target = Number(quantity);
+        if (target < (product.reserved || 0)) {
+            throw httpError(409, `Quantity cannot be lower than the ${product.reserved} units reserved by orders.`);
+        }
+        if (target !== product.quantity) {
+            edits.push({ skuId: null, quantity: target });
+        }
+    }
+    return { edits, before, after };
+};
+
 const updateProduct = [
     param('id').isMongoId(),
+    body('quantity').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer.'),
     body('barcode').optional().trim().notEmpty().withMessage('Barcode cannot be an empty string.'),
+    body('shippingSurcharge').optional().isFloat({ min: 0 }).withMessage('Shipping surcharge must be a non-negative number.'),
+    body('reorderThreshold').optional({ values: 'falsy' }).isInt({ min: 0 }).withMessage('Reorder threshold must be a non-negative integer.'),
     async (req, res) => {
+        const session = await mongoose.startSession();
         try {
-            const tenantObjectId = req.client._id;
-            const product = await Product.findOne({ _id: req.params.id, tenantId: tenantObjectId });
-
-            if (!product) {
-                return res.status(404).json({ message: 'Product not found for this client.' });
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
+            const tenantObjectId = req.client._id;
+            const { name, description, quantity, price, olprice, variants, barcode, shippingSurcharge, reorderThreshold, skus } = req.body;
 
-            const { name, description, quantity, price, olprice, variants, barcode } = req.body;
-            if (name) product.name = name;
-            if (description) product.description = description;
-            if (quantity) product.quantity = quantity;
-            if (price) product.price = price;
-            if (olprice) product.olprice = olprice;
-            if (barcode) product.barcode = barcode;
-            
+            let parsedVariants;
             if (variants) {
                 try {
-                    product.variants = JSON.parse(variants);
+                    parsedVariants = JSON.parse(variants);
                 } catch (e) {
                     return res.status(400).json({ message: 'Invalid format for variants. Must be a valid JSON string.' });
                 }
             }
 
-            if (req.files && req.files.length > 0) {
-                const newImages = req.files.map(file => {
-                    const relativePath = path.join('/uploads', req.client.subdomain, file.filename);
-                    return {
-                        url: relativePath.replace(/\\/g, '/'),
-                        public_id: file.filename
-                    };
-                });
-                product.images.push(...newImages);
-            }
+            let updatedProduct;
+            await session.withTransaction(async () => {
+                const product = await Product.findOne({ _id: req.params.id, tenantId: tenantObjectId }).session(session);
+                if (!product) {
+                    throw httpError(404, 'Product not found for this client.');
+                }
 
-            const updatedProduct = await product.save();
+                if (name) product.name = name;
+                if (description) product.description = description;
+                if (price) product.price = price;
+                if (olprice) product.olprice = olprice;
+                if (barcode) product.barcode = barcode;
+                if (shippingSurcharge !== undefined) product.shippingSurcharge = shippingSurcharge;
+                // An empty value clears the product's own threshold.
+                if (reorderThreshold !== undefined) product.reorderThreshold = reorderThreshold === '' || reorderThreshold === null ? null : reorderThreshold;
+                if (parsedVariants) product.variants = parsedVariants;
+
+                // Existing SKUs are re-checked when the variants change.
+                const { edits, before, after } = planStockEdits(product, { quantity, skus });
+                await assertBarcodesAvailable(tenantObjectId, product._id, [product.barcode, ...product.skus.map(sku => sku.barcode)]);
+
+                if (req.files && req.files.length > 0) {
+                    const newImages = req.files.map(file => {
+                        const relativePath = path.join('/uploads', req.client.subdomain, file.filename);
+                        return {
+                            url: relativePath.replace(/\\/g, '/'),
+                            public_id: file.filename
+                        };
+                    });
+                    product.images.push(...newImages);
+                }
+
+                await product.save({ session });
+                // SKUs (or the product total) added or removed are recorded from the stock saved in this transaction.
+                await recordStockChanges({ product, before, after, user: req.user, note: 'Product edited.', session });
+
+                // On-hand edits are applied as deltas from the stock read in this transaction; a concurrent
+                // order makes the transaction retry rather than being overwritten.
+                for (const edit of edits) {
+                    const stock = edit.skuId ? product.skus.id(edit.skuId) : product;
+                    await adjustStock({
+                        tenantId: tenantObjectId,
+                        productId: product._id,
+                        skuId: edit.skuId,
+                        type: 'manual_adjustment',
+                        quantity: edit.quantity - stock.quantity,
+                        reference: { kind: 'product', id: product._id, label: product.name },
+                        user: req.user,
+                        note: 'Product edited.',
+                        session
+                    });
+                }
+                updatedProduct = await Product.findById(product._id).session(session);
+            });
             res.json({ message: 'Product updated successfully', product: updatedProduct });
         } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
             if (error.code === 11000 && error.keyPattern && error.keyPattern.barcode) {
                 return res.status(409).json({ message: 'A product with this barcode already exists for this tenant.' });
             }
             console.error('Error updating product:', error);
             res.status(500).json({ message: 'Server error while updating product.' });
+        } finally {
+            session.endSession();
         }
     }
 ];
@@ -358,11 +495,25 @@ const deleteProduct = [
     async (req, res) => {
         try {
             const tenantObjectId = req.client._id;
-            const product = await Product.findOneAndDelete({ _id: req.params.id, tenantId: tenantObjectId });
+            // Refused while orders hold reservations on it: they could never be confirmed afterwards.
+            const product = await Product.findOneAndDelete({
+                _id: req.params.id,
+                tenantId: tenantObjectId,
+                reserved: { $not: { $gt: 0 } },
+                'skus.reserved': { $not: { $gt: 0 } }
+            });
 
             if (!product) {
+                const existing = await Product.findOne({ _id: req.params.id, tenantId: tenantObjectId }, 'reserved skus.reserved').lean();
+                if (existing) {
+                    const units = (existing.reserved || 0) + (existing.skus || []).reduce((sum, sku) => sum + (sku.reserved || 0), 0);
+                    return res.status(409).json({ message: `${units} units of this product are reserved by orders: confirm or cancel them before deleting it.` });
+                }
                 return res.status(404).json({ error: 'Product not found for this client.' });
             }
+            await recordStockChanges({
+                product, before: getStockLevels(product), after: new Map(), user: req.user, note: 'Product deleted.'
+            });
 
             if (product.images && product.images.length > 0) {
                 const tenantSubdomain = req.client.subdomain;
@@ -386,6 +537,97 @@ const deleteProduct = [
     }
 ];
 
+// =========================
+// 📒 Stock Ledger Handlers
+// =========================
+
+const getProductStockHistory = [
+    param('id').isMongoId(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { page, limit, skip } = parsePagination(req.query);
+            const { movements, total } = await getStockHistory({
+                tenantId: req.client._id,
+                productId: req.params.id,
+                skuId: req.query.skuId,
+                type: req.query.type,
+                skip,
+                limit
+            });
+            res.json({ movements, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error('Error fetching stock history:', error);
+            res.status(500).json({ message: 'Server error fetching stock history.' });
+        }
+    }
+];
+
+const adjustProductStock = [
+    param('id').isMongoId(),
+    body('type').isIn(ADJUSTMENT_TYPES).withMessage(`Type must be one of: ${ADJUSTMENT_TYPES.join(', ')}.`),
+    body('skuId').optional().isMongoId().withMessage('Invalid SKU ID.'),
+    body('note').optional().isString().trim(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { type, skuId, quantity, countedQuantity, note } = req.body;
+            const movement = await adjustStock({
+                tenantId: req.client._id,
+                productId: req.params.id,
+                skuId,
+                type,
+                quantity,
+                countedQuantity,
+                user: req.user,
+                note
+            });
+            if (!movement) {
+                return res.json({ message: 'The counted quantity matches the stock. Nothing to adjust.', movement: null });
+            }
+            res.status(201).json({ message: 'Stock adjusted successfully.', movement });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            console.error('Error adjusting stock:', error);
+            res.status(500).json({ message: 'Server error while adjusting stock.' });
+        }
+    }
+];
+
+const getStockConsistency = async (req, res) => {
+    try {
+        const report = await checkStockConsistency({ tenantId: req.client._id, productId: req.query.productId });
+        res.json(report);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Error checking stock consistency:', error);
+        res.status(500).json({ message: 'Server error checking stock consistency.' });
+    }
+};
+
+const getLowStockProducts = async (req, res) => {
+    try {
+        const report = await getLowStockReport({ tenantId: req.client._id, days: req.query.days });
+        res.json(report);
+    } catch (error) {
+        console.error('Error fetching low-stock products:', error);
+        res.status(500).json({ message: 'Server error fetching low-stock products.' });
+    }
+};
+
 // =========================
 // 🛒 Collection Handlers
 // =========================
@@ -578,6 +820,10 @@ module.exports = {
     getProductByBarcode,
     updateProduct,
     deleteProduct,
+    getProductStockHistory,
+    adjustProductStock,
+    getStockConsistency,
+    getLowStockProducts,
     addCollection,
     getCollections,
     getPublicCollections,
@@ -3,21 +3,7 @@ const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Client = require('../models/Client');
 const User = require('../models/User');
-const Counter = require('../models/Counter');
-
-/**
- * Generates the next sequential number for a given counter (e.g., 'tenantId').
- * @param {string} sequenceName The name of the sequence to increment.
- * @returns {Promise<number>} The next sequence value.
- */
-async function getNextSequenceValue(sequenceName) {
-    const sequenceDocument = await Counter.findByIdAndUpdate(
-        sequenceName,
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true }
-    );
-    return sequenceDocument.seq;
-}
+const { getNextSequenceValue } = require('../services/sequence');
 
 const ProvisioningController = {
     /**
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const {
+    createSupplier, updateSupplier, findPurchaseOrder, createPurchaseOrder, updatePurchaseOrder,
+    setPurchaseOrderStatus, scanPurchaseOrderLine, receivePurchaseOrder, getDiscrepancies
+} = require('../services/purchaseOrders');
+const { parsePagination } = require('../services/orderQuery');
+
+/**
+ * Sends a service error with its status code, or a generic 500.
+ */
+const sendError = (res, error, fallbackMessage) => {
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : fallbackMessage, ...error.details });
+};
+
+const PurchasingController = {
+    /**
+     * @desc    List the tenant's suppliers. Query: active (true/false), search.
+     * @route   GET /purchasing/suppliers
+     * @access  Private (Admin, Stock agent)
+     */
+    getSuppliers: async (req, res) => {
+        try {
+            const filter = { tenantId: req.tenant._id };
+            if (req.query.active !== undefined) {
+                filter.isActive = req.query.active === 'true';
+            }
+            if (req.query.search) {
+                const pattern = new RegExp(String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+                filter.$or = [{ name: pattern }, { contactName: pattern }, { phone: pattern }, { email: pattern }];
+            }
+            const suppliers = await Supplier.find(filter).sort({ name: 1 }).lean();
+            res.status(200).json(suppliers);
+        } catch (error) {
+            console.error('List suppliers error:', error);
+            res.status(500).json({ message: 'Server error fetching suppliers.' });
+        }
+    },
+
+    /**
+     * @desc    Create a supplier.
+     * Body: { name, contactName, phone, email, address, notes }
+     * @route   POST /purchasing/suppliers
+     * @access  Private (Admin, Stock agent)
+     */
+    createSupplier: async (req, res) => {
+        try {
+            const supplier = await createSupplier({ tenantId: req.tenant._id, body: req.body });
+            res.status(201).json(supplier);
+        } catch (error) {
+            console.error('Create supplier error:', error);
+            sendError(res, error, 'Server error creating the supplier.');
+        }
+    },
+
+    /**
+     * @desc    Update a supplier; `isActive: false` retires it without losing its purchase orders.
+     * @route   PUT /purchasing/suppliers/:supplierId
+     * @access  Private (Admin, Stock agent)
+     */
+    updateSupplier: async (req, res) => {
+        try {
+            const supplier = await updateSupplier({ tenantId: req.tenant._id, supplierId: req.params.supplierId, body: req.body });
+            res.status(200).json(supplier);
+        } catch (error) {
+            console.error('Update supplier error:', error);
+            sendError(res, error, 'Server error updating the supplier.');
+        }
+    },
+
+    /**
+     * @desc    List the tenant's purchase orders, newest first. Query: status, supplierId, page, limit.
+     * @route   GET /purchasing/purchase-orders
+     * @access  Private (Admin, Stock agent)
+     */
+    getPurchaseOrders: async (req, res) => {
+        try {
+            const filter = { tenantId: req.tenant._id };
+            if (req.query.status) {
+                filter.status = req.query.status;
+            }
+            if (req.query.supplierId) {
+                if (!mongoose.isValidObjectId(req.query.supplierId)) {
+                    return res.status(400).json({ message: 'Invalid supplierId.' });
+                }
+                filter.supplierId = req.query.supplierId;
+            }
+            const { page, limit, skip } = parsePagination(req.query);
+            const [purchaseOrders, total] = await Promise.all([
+                PurchaseOrder.find(filter)
+                    .select('-receipts')
+                    .populate('supplierId', 'name')
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                PurchaseOrder.countDocuments(filter)
+            ]);
+            res.status(200).json({ purchaseOrders, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+        } catch (error) {
+            console.error('List purchase orders error:', error);
+            res.status(500).json({ message: 'Server error fetching purchase orders.' });
+        }
+    },
+
+    /**
+     * @desc    Get a purchase order with its receipts and discrepancies.
+     * @route   GET /purchasing/purchase-orders/:id
+     * @access  Private (Admin, Stock agent)
+     */
+    getPurchaseOrder: async (req, res) => {
+        try {
+            const purchaseOrder = await findPurchaseOrder(req.tenant._id, req.params.id);
+            await purchaseOrder.populate([
+                { path: 'supplierId', select: 'name contactName phone email' },
+                { path: 'receipts.receivedBy', select: 'name email' },
+                { path: 'createdBy', select: 'name email' }
+            ]);
+            res.status(200).json({ purchaseOrder, discrepancies: getDiscrepancies(purchaseOrder) });
+        } catch (error) {
+            console.error('Get purchase order error:', error);
+            sendError(res, error, 'Server error fetching the purchase order.');
+        }
+    },
+
+    /**
+     * @desc    Create a draft purchase order.
+     * Body: { supplierId, expectedAt, notes, lines: [{ productId, skuId, orderedQuantity, unitCost }] }
+     * A line can name its product by `barcode` instead of `productId`/`skuId`.
+     * @route   POST /purchasing/purchase-orders
+     * @access  Private (Admin, Stock agent)
+     */
+    createPurchaseOrder: async (req, res) => {
+        try {
+            const purchaseOrder = await createPurchaseOrder({ tenantId: req.tenant._id, body: req.body, user: req.user });
+            res.status(201).json(purchaseOrder);
+        } catch (error) {
+            console.error('Create purchase order error:', error);
+            sendError(res, error, 'Server error creating the purchase order.');
+        }
+    },
+
+    /**
+     * @desc    Update a purchase order. The supplier and lines can only change while it is a draft.
+     * @route   PUT /purchasing/purchase-orders/:id
+     * @access  Private (Admin, Stock agent)
+     */
+    updatePurchaseOrder: async (req, res) => {
+        try {
+            const purchaseOrder = await updatePurchaseOrder({ tenantId: req.tenant._id, purchaseOrderId: req.params.id, body: req.body });
+            res.status(200).json(purchaseOrder);
+        } catch (error) {
+            console.error('Update purchase order error:', error);
+            sendError(res, error, 'Server error updating the purchase order.');
+        }
+    },
+
+    /**
+     * @desc    Mark a purchase order as ordered, cancel it or close it.
+     * Body: { status }
+     * @route   PATCH /purchasing/purchase-orders/:id/status
+     * @access  Private (Admin, Stock agent)
+     */
+    updatePurchaseOrderStatus: async (req, res) => {
+        try {
+            const purchaseOrder = await setPurchaseOrderStatus({
+                tenantId: req.tenant._id, purchaseOrderId: req.params.id, status: req.body.status
+            });
+            res.status(200).json(purchaseOrder);
+        } catch (error) {
+            console.error('Update purchase order status error:', error);
+            sendError(res, error, 'Server error updating the purchase order status.');
+        }
+    },
+
+    /**
+     * @desc    Look up the purchase order line of a scanned barcode, with what is left to receive.
+     * @route   GET /purchasing/purchase-orders/:id/scan/:barcode
+     * @access  Private (Admin, Stock agent)
+     */
+    scanBarcode: async (req, res) => {
+        try {
+            const line = await scanPurchaseOrderLine({
+                tenantId: req.tenant._id, purchaseOrderId: req.params.id, barcode: req.params.barcode
+            });
+            res.status(200).json(line);
+        } catch (error) {
+            console.error('Purchase order scan error:', error);
+            sendError(res, error, 'Server error looking up the barcode.');
+        }
+    },
+
+    /**
+     * @desc    Receive goods against a purchase order and add them to stock.
+     * Body: { items: [{ barcode, quantity }], note } (quantity defaults to 1 per scan;
+     * `lineId` instead of `barcode` for unlabelled goods)
+     * @route   POST /purchasing/purchase-orders/:id/receipts
+     * @access  Private (Admin, Stock agent)
+     */
+    receivePurchaseOrder: async (req, res) => {
+        try {
+            const purchaseOrder = await receivePurchaseOrder({
+                tenantId: req.tenant._id,
+                purchaseOrderId: req.params.id,
+                items: req.body.items,
+                note: req.body.note,
+                user: req.user
+            });
+            res.status(201).json({ message: 'Goods received.', purchaseOrder, discrepancies: getDiscrepancies(purchaseOrder) });
+        } catch (error) {
+            console.error('Receive purchase order error:', error);
+            sendError(res, error, 'Server error receiving the goods.');
+        }
+    },
+
+    /**
+     * @desc    Report the lines received short or over what was ordered.
+     * @route   GET /purchasing/purchase-orders/:id/discrepancies
+     * @access  Private (Admin, Stock agent)
+     */
+    getDiscrepancies: async (req, res) => {
+        try {
+            const purchaseOrder = await findPurchaseOrder(req.tenant._id, req.params.id);
+            res.status(200).json({
+                purchaseOrderId: purchaseOrder._id,
+                number: purchaseOrder.number,
+                status: purchaseOrder.status,
+                ...getDiscrepancies(purchaseOrder)
+            });
+        } catch (error) {
+            console.error('Purchase order discrepancies error:', error);
+            sendError(res, error, 'Server error fetching the discrepancies.');
+        }
+    }
+};
+
+module.exports = PurchasingController;
@@ -14,6 +14,8 @@ const abandonedCartSchema = new mongoose.Schema({
     phoneNumber: { type: String, required: true, trim: true },
     wilaya: String,
     commune: String,
+    wilayaCode: { type: Number, default: null }, // Set when the wilaya matched the reference data
+    communeCode: { type: Number, default: null },
     product: {
         productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
         name: String,
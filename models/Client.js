@@ -58,6 +58,14 @@ const clientSchema = new mongoose.Schema({
             user: String,
             pass: String,
         },
+        // Courier accounts used to create shipments (see services/couriers).
+        couriers: [{
+            provider: { type: String, required: true }, // Key of a registered provider, e.g. 'mock'
+            label: { type: String, trim: true, default: '' },
+            isDefault: { type: Boolean, default: false },
+            enabled: { type: Boolean, default: true },
+            credentials: { type: Map, of: String, default: {} },
+        }],
     },
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields.
 
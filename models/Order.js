@@ -1,5 +1,6 @@
 // models/Order.js
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../services/orderNumber');
 
 const orderSchema = new mongoose.Schema({
     // This tenantId field ensures every order is tied to a specific client.
@@ -9,6 +10,11 @@ const orderSchema = new mongoose.Schema({
         ref: 'Client',
         index: true,
     },
+    // Human-readable, per-tenant sequential number (e.g. "SHK-000123").
+    orderNumber: {
+        type: String,
+        trim: true,
+    },
     fullName: {
         type: String,
         required: true
@@ -26,15 +32,50 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Reference codes of the wilaya and commune (see services/geo.js); null on orders placed
+    // before locations were validated.
+    wilayaCode: { type: Number, default: null },
+    communeCode: { type: Number, default: null },
     address: {
         type: String,
         required: false
     },
+    // Home delivery to `address`, or pickup at a courier office (stop desk), priced per wilaya.
+    deliveryType: {
+        type: String,
+        enum: ['home', 'stop_desk'],
+        default: 'home'
+    },
+    // The chosen office, snapshotted from `SiteConfig.deliveryFees[].stopDesks` (stop-desk orders only).
+    stopDesk: {
+        id: { type: String, default: null },
+        name: { type: String, default: null },
+        address: { type: String, default: null },
+        commune: { type: String, default: null }
+    },
     barcodeId: {
         type: String,
         trim: true,
         default: null
     },
+    // The courier shipment created when the order was dispatched (see services/courierShipments.js).
+    courier: {
+        provider: { type: String, default: null },
+        shipment: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null }
+    },
+    // Raw tracking events received from courier webhooks, in arrival order.
+    trackingEvents: [{
+        _id: false,
+        eventId: { type: String, required: true }, // Provider event id; duplicates are ignored
+        provider: String,
+        trackingNumber: String,
+        code: String, // The courier's own status code
+        status: String, // The mapped shipment status
+        description: String,
+        occurredAt: Date,
+        receivedAt: { type: Date, default: Date.now },
+        raw: mongoose.Schema.Types.Mixed
+    }],
     products: [{
         productId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -42,6 +83,8 @@ const orderSchema = new mongoose.Schema({
             required: true
         },
         name: { type: String, required: true }, // Snapshot of product name
+        skuId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Variant the stock is taken from (Product.skus)
+        sku: { type: String }, // Snapshot of the SKU reference
         quantity: { type: Number, required: true },
         priceAtPurchase: { type: Number, required: true }, // Snapshot of price per unit
         color: { type: String },
@@ -51,6 +94,16 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Server-computed price breakdown. `totalPrice` always equals `pricing.total`.
+    pricing: {
+        subtotal: { type: Number, default: 0 },
+        shipping: { type: Number, default: 0 },
+        discount: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+        promoCode: { type: String, default: null },
+        clientTotal: { type: Number, default: null }, // Total the storefront displayed, if sent
+        mismatch: { type: Boolean, default: false } // Set when the client total disagreed (flag policy)
+    },
     status: {
         type: String,
         enum: ['pending', 'confirmed', 'cancelled', 'tentative', 'dispatched', 'delivered', 'returned'],
@@ -61,11 +114,37 @@ const orderSchema = new mongoose.Schema({
         of: Date,
         default: {}
     },
+    // How the order holds its stock (see services/orderStatus.js): reserved while unconfirmed,
+    // deducted once confirmed, released when cancelled, returned or its reservation expired;
+    // 'untracked' for imported orders that never took stock. Orders placed before reservations
+    // have none: they hold deducted stock unless cancelled or returned.
+    stockState: {
+        type: String,
+        enum: ['reserved', 'deducted', 'released', 'untracked', null],
+        default: null
+    },
+    reservationExpiresAt: {
+        type: Date,
+        default: null
+    },
     confirmedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User', // Staff member who confirmed
         default: null
     },
+    // Who confirmed the order: a staff member (`confirmedBy`) or the customer via self-confirmation.
+    confirmedVia: {
+        type: String,
+        enum: ['staff', 'customer', null],
+        default: null
+    },
+    // Customer self-confirmation link and short code (see services/selfConfirmation.js).
+    selfConfirmation: {
+        codeHash: { type: String, default: null, select: false }, // SHA-256 of the short code
+        expiresAt: { type: Date, default: null },
+        respondedAt: { type: Date, default: null },
+        response: { type: String, enum: ['confirmed', 'cancelled', 'address_updated', null], default: null }
+    },
     assignedTo: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User', // Staff member for delivery
@@ -75,15 +154,87 @@ const orderSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Confirmation call-center queue (see services/confirmationQueue.js).
+    queue: {
+        agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Confirmation agent the order is distributed to
+        lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        lockExpiresAt: { type: Date, default: null }, // The lock is released once this is in the past
+        callbackAt: { type: Date, default: null } // Kept out of the queue until this time
+    },
+    // Confirmation calls made to the customer, oldest first.
+    callAttempts: [{
+        outcome: { type: String, enum: ['no_answer', 'busy', 'wrong_number', 'call_later', 'refused'], required: true },
+        agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        note: { type: String, trim: true, default: '' },
+        callbackAt: { type: Date, default: null },
+        calledAt: { type: Date, default: Date.now }
+    }],
+    // Risk assessment computed at creation (duplicates, return history, fake names, ...).
+    risk: {
+        score: { type: Number, default: 0 },
+        level: { type: String, enum: ['low', 'medium', 'high'], default: 'low' },
+        reasons: [{
+            _id: false,
+            code: String,
+            points: Number,
+            message: String
+        }],
+        needsReview: { type: Boolean, default: false },
+        // Set when the tenant auto-holds orders from numbers on the shared blacklist.
+        hold: { type: Boolean, default: false },
+        // Aggregate snapshot from the shared blacklist; never contains other tenants' details.
+        sharedBlacklist: {
+            flagged: { type: Boolean, default: false },
+            failures: { type: Number, default: 0 },
+            deliveries: { type: Number, default: 0 },
+            tenantCount: { type: Number, default: 0 }
+        },
+        evaluatedAt: { type: Date, default: null }
+    },
+    // Free-form labels used by staff to group orders (e.g. "vip", "call-again").
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
     source: {
         type: String,
-        enum: ['web', 'abandoned_cart_recovery'],
+        enum: ['web', 'abandoned_cart_recovery', 'import', 'messenger'],
         default: 'web'
     },
 }, {
     timestamps: true
 });
 
+// Order numbers are unique within a tenant. Older orders without one are ignored.
+orderSchema.index(
+    { tenantId: 1, orderNumber: 1 },
+    { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } }
+);
+
+// Support the filtered and sorted order listing.
+orderSchema.index({ tenantId: 1, createdAt: -1 });
+orderSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+orderSchema.index({ tenantId: 1, phoneNumber: 1 });
+orderSchema.index({ tenantId: 1, tags: 1 });
+orderSchema.index({ tenantId: 1, 'risk.needsReview': 1, createdAt: -1 });
+orderSchema.index({ tenantId: 1, status: 1, 'queue.agent': 1, createdAt: 1 });
+orderSchema.index(
+    { reservationExpiresAt: 1 },
+    { partialFilterExpression: { stockState: 'reserved' } }
+);
+orderSchema.index(
+    { tenantId: 1, 'selfConfirmation.codeHash': 1 },
+    { partialFilterExpression: { 'selfConfirmation.codeHash': { $type: 'string' } } }
+);
+
+// Numbered in the order's session, so an aborted transaction gives its number back.
+orderSchema.pre('save', async function() {
+    if (this.isNew && !this.orderNumber) {
+        this.orderNumber = await generateOrderNumber(this.tenantId, this.$session());
+    }
+});
+
 orderSchema.pre('save', function(next) {
     if (this.isNew) {
         this.statusTimestamps.set('pending', new Date());
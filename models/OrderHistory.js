@@ -0,0 +1,64 @@
+// models/OrderHistory.js
+const mongoose = require('mongoose');
+
+/**
+ * @desc Append-only audit trail of changes made to an order.
+ * One entry is written per change, recording who made it, from which route,
+ * and the before/after value of every field that changed.
+ */
+const orderHistorySchema = new mongoose.Schema({
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+        index: true,
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Order',
+    },
+    action: {
+        type: String,
+        required: true, // e.g. 'created', 'updated', 'status_changed', 'call_attempt', 'hold_released', 'shipment_cancelled', 'deleted'
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User', // Staff member, when the change was made by one
+        default: null
+    },
+    actorType: {
+        type: String,
+        enum: ['user', 'customer', 'system', 'courier'],
+        default: 'user'
+    },
+    route: {
+        type: String, // e.g. "PATCH /orders/:orderId"
+        default: null
+    },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed, default: null },
+        after: { type: mongoose.Schema.Types.Mixed, default: null }
+    }],
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+orderHistorySchema.index({ tenantId: 1, orderId: 1, createdAt: 1 });
+
+// History entries can never be edited or removed once written.
+const rejectMutation = function(next) {
+    next(new Error('Order history is append-only.'));
+};
+orderHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+orderHistorySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+orderHistorySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Order history is append-only.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('OrderHistory', orderHistorySchema);
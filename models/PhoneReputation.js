@@ -0,0 +1,55 @@
+// models/PhoneReputation.js
+const mongoose = require('mongoose');
+
+// A request to remove a number from the blacklist, reviewed by a super admin.
+const disputeSchema = new mongoose.Schema({
+    reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+    reason: { type: String, required: true, trim: true },
+    contact: { type: String, trim: true, default: '' },
+    status: { type: String, enum: ['open', 'accepted', 'rejected'], default: 'open' },
+    resolution: { type: String, default: '' },
+    resolvedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+/**
+ * @desc Platform-wide delivery reputation of a customer phone number.
+ * Aggregated from the delivery outcomes reported by every opted-in tenant.
+ * It never stores order details; the list of reporting tenants is internal only.
+ */
+const phoneReputationSchema = new mongoose.Schema({
+    // Normalized local format, e.g. "0555123456".
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    deliveredCount: { type: Number, default: 0 },
+    returnedCount: { type: Number, default: 0 },
+    refusedCount: { type: Number, default: 0 },
+    // Tenants that reported at least one outcome. Never exposed to tenants.
+    reportingTenants: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Client' }],
+        select: false
+    },
+    tenantCount: { type: Number, default: 0 },
+    // 'auto' follows the platform thresholds; super admins can force 'blacklisted' or 'cleared'.
+    status: {
+        type: String,
+        enum: ['auto', 'blacklisted', 'cleared'],
+        default: 'auto',
+        index: true,
+    },
+    statusNote: { type: String, default: '' },
+    statusChangedAt: { type: Date, default: null },
+    lastReportedAt: { type: Date, default: null },
+    disputes: [disputeSchema],
+}, {
+    timestamps: true
+});
+
+phoneReputationSchema.index({ 'disputes.status': 1 });
+
+module.exports = mongoose.model('PhoneReputation', phoneReputationSchema);
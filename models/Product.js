@@ -54,6 +54,19 @@ const productSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Units held by unconfirmed orders (see services/inventory.js); available = quantity - reserved.
+    reserved: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Available stock at or below which the product is reported as low (see services/stockAlerts.js).
+    // Null falls back to the tenant's `SiteConfig.stockAlerts.defaultThreshold`.
+    reorderThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     price: {
         type: Number,
         required: true
@@ -62,6 +75,12 @@ const productSchema = new mongoose.Schema({
         type: Number,
         required: false
     },
+    // Added to the delivery fee per unit ordered, for bulky or heavy items (see services/deliveryRules.js).
+    shippingSurcharge: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
     promocode: {
         type: String,
         required: false
@@ -80,6 +99,18 @@ const productSchema = new mongoose.Schema({
         name: { type: String, required: true }, // e.g., "Color", "Size", "Material"
         options: { type: [String], required: true } // e.g., ["Red", "Blue"], ["S", "M"], ["Cotton", "Polyester"]
     }],
+    // One SKU per variant combination with its own stock (see services/productSkus.js).
+    // When present, `quantity` and `reserved` are the sums of the SKUs'.
+    skus: [{
+        sku: { type: String, trim: true }, // The merchant's own reference
+        options: { type: Map, of: String, required: true }, // e.g., { Color: "Red", Size: "M" }
+        quantity: { type: Number, required: true, min: 0, default: 0 },
+        reserved: { type: Number, min: 0, default: 0 }, // Held by unconfirmed orders
+        barcode: { type: String, trim: true },
+        price: { type: Number, min: 0, default: null }, // Overrides the product price when set
+        image: { type: String, default: null }, // URL of the variant's picture
+        reorderThreshold: { type: Number, min: 0, default: null } // Falls back to the product's threshold
+    }],
     reviews: [reviewSchema],
     rating: {
         type: Number,
@@ -99,6 +130,17 @@ const productSchema = new mongoose.Schema({
 // The 'sparse' option means it will only enforce uniqueness for documents that have a barcode value.
 // This allows you to have multiple products without a barcode.
 productSchema.index({ tenantId: 1, barcode: 1 }, { unique: true, sparse: true });
+// Barcode lookups of variants; uniqueness across products is checked in services/productSkus.js.
+productSchema.index({ tenantId: 1, 'skus.barcode': 1 });
+
+// A product with SKUs always reports their total stock and reservations.
+productSchema.pre('validate', function(next) {
+    if (this.skus && this.skus.length > 0) {
+        this.quantity = this.skus.reduce((sum, sku) => sum + (sku.quantity || 0), 0);
+        this.reserved = this.skus.reduce((sum, sku) => sum + (sku.reserved || 0), 0);
+    }
+    next();
+});
 
 
 module.exports = mongoose.model('Product', productSchema);
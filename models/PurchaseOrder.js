@@ -0,0 +1,85 @@
+// models/PurchaseOrder.js
+const mongoose = require('mongoose');
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'];
+
+/**
+ * @desc An order of goods from a supplier. Its lines are booked in one or more receipts
+ * (see services/purchaseOrders.js); every receipt adds to stock as a 'receiving' movement.
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+        index: true,
+    },
+    number: {
+        type: String, // e.g. PO-000012, unique per tenant
+        required: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Supplier'
+    },
+    status: {
+        type: String,
+        enum: PURCHASE_ORDER_STATUSES,
+        default: 'draft'
+    },
+    expectedAt: {
+        type: Date,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    // What was ordered. Name, SKU and barcode are copied from the product when the line is added.
+    lines: [{
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        skuId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Required for products with SKUs
+        name: { type: String, required: true },
+        sku: { type: String, default: null },
+        options: { type: Map, of: String, default: undefined },
+        barcode: { type: String, default: null },
+        orderedQuantity: { type: Number, required: true, min: 1 },
+        receivedQuantity: { type: Number, min: 0, default: 0 },
+        unitCost: { type: Number, min: 0, default: 0 }
+    }],
+    // One entry per receiving session, oldest first.
+    receipts: [{
+        receivedAt: { type: Date, default: Date.now },
+        receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        note: { type: String, default: '' },
+        lines: [{
+            _id: false,
+            lineId: { type: mongoose.Schema.Types.ObjectId, required: true },
+            barcode: { type: String, default: null }, // The barcode scanned, if any
+            quantity: { type: Number, required: true, min: 1 }
+        }]
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    orderedAt: {
+        type: Date,
+        default: null
+    },
+    closedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+purchaseOrderSchema.index({ tenantId: 1, number: 1 }, { unique: true });
+purchaseOrderSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ tenantId: 1, supplierId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+module.exports.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
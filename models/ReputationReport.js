@@ -0,0 +1,36 @@
+// models/ReputationReport.js
+const mongoose = require('mongoose');
+
+/**
+ * @desc One delivery outcome reported to the shared phone reputation store.
+ * The unique index makes reporting idempotent; a later outcome of the same order replaces
+ * its earlier one (see services/phoneReputation.js).
+ */
+const reputationReportSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Order',
+    },
+    outcome: {
+        type: String,
+        enum: ['delivered', 'returned', 'refused'],
+        required: true,
+    },
+}, {
+    timestamps: true
+});
+
+reputationReportSchema.index({ orderId: 1, outcome: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReputationReport', reputationReportSchema);
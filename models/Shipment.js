@@ -0,0 +1,64 @@
+// models/Shipment.js
+const mongoose = require('mongoose');
+
+const SHIPMENT_STATUSES = ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'returned', 'cancelled', 'failed'];
+
+/**
+ * @desc A parcel handed to a courier for an order.
+ * Every provider's shipments are recorded here; the mock provider keeps its whole state here.
+ */
+const shipmentSchema = new mongoose.Schema({
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+        index: true,
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Order',
+        index: true,
+    },
+    provider: {
+        type: String,
+        required: true,
+    },
+    trackingNumber: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    status: {
+        type: String,
+        enum: SHIPMENT_STATUSES,
+        default: 'created',
+    },
+    labelUrl: {
+        type: String,
+        default: null,
+    },
+    // Provider status history, oldest first.
+    events: [{
+        _id: false,
+        status: { type: String, enum: SHIPMENT_STATUSES },
+        description: { type: String, default: '' },
+        occurredAt: { type: Date, default: Date.now },
+    }],
+    // Raw provider response, kept for support.
+    providerData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    cancelledAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true
+});
+
+shipmentSchema.index({ provider: 1, trackingNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
+module.exports.SHIPMENT_STATUSES = SHIPMENT_STATUSES;
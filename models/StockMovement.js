@@ -0,0 +1,83 @@
+// models/StockMovement.js
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+    'opening_balance', // Stock the product (or SKU) had when the ledger started tracking it
+    'sale', // Deducted by an order
+    'cancellation_restore', // Returned to stock by a cancelled or deleted order
+    'return', // Returned to stock by a returned parcel
+    'manual_adjustment', // Changed by hand (product edit or adjustment)
+    'receiving', // Goods received from a supplier
+    'stocktake' // Correction after a physical count
+];
+
+/**
+ * @desc Append-only ledger of stock movements. Every change of a product's (or SKU's)
+ * quantity writes one entry with the signed quantity, the resulting balance, who made it
+ * and the document that caused it, so current stock can be re-derived from the ledger.
+ */
+const stockMovementSchema = new mongoose.Schema({
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+        index: true,
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Product',
+    },
+    skuId: {
+        type: mongoose.Schema.Types.ObjectId, // Null for products without SKUs
+        default: null
+    },
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true // Signed: negative for stock leaving
+    },
+    balance: {
+        type: Number,
+        required: true // Quantity of the product (or SKU) after this movement
+    },
+    reference: {
+        kind: { type: String, default: null }, // e.g. 'order', 'purchase_order'
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        label: { type: String, default: null } // e.g. the order number
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ tenantId: 1, productId: 1, skuId: 1, createdAt: 1 });
+
+// Ledger entries can never be edited or removed once written.
+const rejectMutation = function(next) {
+    next(new Error('The stock ledger is append-only.'));
+};
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectMutation);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+stockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('The stock ledger is append-only.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
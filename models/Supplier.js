@@ -0,0 +1,55 @@
+// models/Supplier.js
+const mongoose = require('mongoose');
+
+/**
+ * @desc A supplier the tenant buys stock from through purchase orders.
+ */
+const supplierSchema = new mongoose.Schema({
+    tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Client',
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: ''
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    notes: {
+        type: String,
+        default: ''
+    },
+    // Inactive suppliers are kept for their purchase orders but cannot be ordered from.
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+supplierSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -32,6 +32,11 @@ const userSchema = new mongoose.Schema({
         required: true,
         default: 0, // Default to 0 (Inactive)
     },
+    // Last time the agent took an order from the confirmation queue (see services/confirmationQueue.js).
+    queueLockedAt: {
+        type: Date,
+        default: null,
+    },
 }, { timestamps: true });
 
 
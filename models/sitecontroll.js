@@ -9,6 +9,7 @@
 const mongoose = require('mongoose');
 
 // Helper function to generate default Algerian wilayas and their default fees.
+// Codes follow the official numbering (see data/algeriaGeo.json).
 // This function is used to populate the deliveryFees for a new site configuration.
 const generateDefaultDeliveryFees = () => {
     return [
@@ -64,15 +65,18 @@ const generateDefaultDeliveryFees = () => {
         { "wilayaId": 50, "wilayaName": "Bordj Badji Mokhtar", "price": 1100 },
         { "wilayaId": 51, "wilayaName": "Ouled Djellal", "price": 980 },
         { "wilayaId": 52, "wilayaName": "Béni Abbès", "price": 1050 },
-        { "wilayaId": 53, "wilayaName": "In Guezzam", "price": 1250 },
-        { "wilayaId": 54, "wilayaName": "Touggourt", "price": 990 },
-        { "wilayaId": 55, "wilayaName": "Djanet", "price": 1400 },
-        { "wilayaId": 56, "wilayaName": "El M'Ghair", "price": 970 },
-        { "wilayaId": 57, "wilayaName": "El Meniaa", "price": 1150 },
-        { "wilayaId": 58, "wilayaName": "In Salah", "price": 1300 }
+        { "wilayaId": 53, "wilayaName": "In Salah", "price": 1300 },
+        { "wilayaId": 54, "wilayaName": "In Guezzam", "price": 1250 },
+        { "wilayaId": 55, "wilayaName": "Touggourt", "price": 990 },
+        { "wilayaId": 56, "wilayaName": "Djanet", "price": 1400 },
+        { "wilayaId": 57, "wilayaName": "El M'Ghair", "price": 970 },
+        { "wilayaId": 58, "wilayaName": "El Meniaa", "price": 1150 }
     ];
 };
 
+const ORDER_STATUSES = ['pending', 'confirmed', 'cancelled', 'tentative', 'dispatched', 'delivered', 'returned'];
+const STAFF_ROLES = ['admin', 'confirmation', 'stockagent', 'user', 'employee'];
+
 const siteConfigSchema = new mongoose.Schema({
     // **FIXED**: Changed type back to ObjectId to match the data type of `req.tenant._id`
     // provided by the authentication middleware. This resolves the server-side casting error.
@@ -115,14 +119,139 @@ const siteConfigSchema = new mongoose.Schema({
         url: { type: String, required: true },
         iconClass: { type: String, required: true }
     }],
+    // One entry per wilaya. `price` is the home delivery price; stop-desk (pickup at the courier's
+    // office) is priced and enabled separately, optionally restricted to the listed offices.
+    // `communeOverrides` replace either price for single communes (see services/deliveryRules.js).
     deliveryFees: {
         type: [{
             wilayaId: { type: Number, required: true },
             wilayaName: { type: String, required: true },
-            price: { type: Number, required: true, default: 0 }
+            price: { type: Number, required: true, default: 0 },
+            homeAvailable: { type: Boolean, default: true },
+            stopDeskPrice: { type: Number, min: 0, default: null },
+            stopDeskAvailable: { type: Boolean, default: false },
+            stopDesks: [{
+                name: { type: String, required: true, trim: true },
+                address: { type: String, trim: true, default: '' },
+                commune: { type: String, trim: true, default: '' }
+            }],
+            communeOverrides: [{
+                _id: false,
+                communeCode: { type: Number, required: true }, // Code from data/algeriaGeo.json
+                price: { type: Number, min: 0, default: null }, // Home delivery; null keeps the wilaya's price
+                stopDeskPrice: { type: Number, min: 0, default: null }
+            }]
         }],
         default: generateDefaultDeliveryFees
     },
+    // Rules applied on top of `deliveryFees`, in the order documented in services/deliveryRules.js.
+    deliveryRules: {
+        freeShippingThreshold: { type: Number, min: 0, default: null }, // Cart subtotal from which delivery is free
+        quantityFees: [{
+            _id: false,
+            minItems: { type: Number, required: true, min: 1 },
+            fee: { type: Number, required: true, min: 0 }
+        }]
+    },
+    // Format of the per-tenant order numbers, e.g. prefix "SHK" and padding 6 -> "SHK-000123".
+    orderNumbering: {
+        prefix: { type: String, trim: true, uppercase: true, default: 'ORD' },
+        padding: { type: Number, min: 1, max: 12, default: 6 }
+    },
+    // Order-level discount codes applied by server-side checkout pricing.
+    promoCodes: [{
+        code: { type: String, required: true, trim: true, uppercase: true },
+        type: { type: String, enum: ['percentage', 'fixed'], default: 'fixed' },
+        value: { type: Number, required: true, min: 0 },
+        minSubtotal: { type: Number, default: 0 },
+        expiresAt: { type: Date, default: null },
+        isActive: { type: Boolean, default: true }
+    }],
+    // How to treat orders whose client-side total disagrees with the server-computed total.
+    checkout: {
+        priceMismatchPolicy: { type: String, enum: ['reject', 'flag'], default: 'reject' },
+        priceTolerance: { type: Number, min: 0, default: 0 }
+    },
+    // Thresholds for the risk scoring of new orders (see services/orderRisk.js).
+    riskSettings: {
+        enabled: { type: Boolean, default: true },
+        reviewThreshold: { type: Number, min: 0, max: 100, default: 50 },
+        duplicateWindowMinutes: { type: Number, min: 1, default: 10 },
+        maxOrdersPerWindow: { type: Number, min: 2, default: 3 },
+        minDeliveryHistory: { type: Number, min: 1, default: 2 }
+    },
+    // Opt-in to the platform-wide blacklist of customers who refuse or return orders.
+    sharedBlacklist: {
+        enabled: { type: Boolean, default: false }, // Share delivery outcomes and check new orders
+        autoHold: { type: Boolean, default: false }, // Hold new orders from flagged numbers instead of only warning
+        minFailures: { type: Number, min: 1, default: 3 } // Failed deliveries before a number is flagged
+    },
+    // How pending orders are handed out to confirmation agents (see services/confirmationQueue.js).
+    confirmationQueue: {
+        // 'none' leaves new orders unassigned; agents then pull the oldest available order.
+        distribution: { type: String, enum: ['none', 'round_robin', 'least_loaded'], default: 'least_loaded' },
+        lockMinutes: { type: Number, min: 1, max: 240, default: 15 },
+        // Let idle agents take orders distributed to other agents.
+        shareBacklog: { type: Boolean, default: false },
+        // Failed calls (no answer, busy, wrong number) before the order is cancelled; 0 never cancels.
+        maxFailedAttempts: { type: Number, min: 0, default: 5 },
+        // Delay before an unanswered order comes back to the queue when no callback time is given.
+        retryDelayMinutes: { type: Number, min: 0, default: 60 }
+    },
+    // Signed links / short codes letting customers confirm, cancel or fix the address of their order.
+    selfConfirmation: {
+        enabled: { type: Boolean, default: false },
+        ttlHours: { type: Number, min: 1, max: 720, default: 48 },
+        // Storefront page that renders the order summary; the token is appended as `?token=`.
+        pagePath: { type: String, trim: true, default: '/confirm-order' },
+        allowCancel: { type: Boolean, default: true },
+        allowAddressEdit: { type: Boolean, default: true },
+        // Return a link and code in the `POST /orders` response for the storefront to show.
+        issueOnCreate: { type: Boolean, default: false }
+    },
+    // Unconfirmed orders reserve their stock instead of deducting it (see services/orderStatus.js).
+    stockReservation: {
+        enabled: { type: Boolean, default: true },
+        // Reservations still unconfirmed after this many hours are released; 0 keeps them indefinitely.
+        ttlHours: { type: Number, min: 0, max: 720, default: 72 }
+    },
+    // Low-stock alerts (services/stockAlerts.js). Products and SKUs without their own
+    // `reorderThreshold` use `defaultThreshold`; null means they are never reported.
+    stockAlerts: {
+        enabled: { type: Boolean, default: true },
+        defaultThreshold: { type: Number, min: 0, default: null },
+        // Email staff as soon as an order or edit takes stock down to the threshold.
+        realTime: { type: Boolean, default: true },
+        dailyDigest: { type: Boolean, default: true },
+        digestHour: { type: Number, min: 0, max: 23, default: 8 }, // Server time
+        // Sales of the last `velocityDays` days give the daily sales rate used for days of cover.
+        velocityDays: { type: Number, min: 1, max: 365, default: 30 },
+        lastDigestAt: { type: Date, default: null }
+    },
+    // Per-tenant overrides of the order status graph: status -> statuses it may move to.
+    // Statuses without an entry keep the defaults from services/orderStatus.js.
+    orderWorkflow: {
+        transitions: {
+            type: Map,
+            of: [{ type: String, enum: ORDER_STATUSES }],
+            default: undefined,
+            validate: {
+                validator: (transitions) => !transitions || [...transitions.keys()].every(status => ORDER_STATUSES.includes(status)),
+                message: 'Order workflow transitions can only be defined for known order statuses.'
+            }
+        },
+        // Staff roles allowed to move an order into a status: status -> roles. Statuses without an
+        // entry keep the defaults from services/orderStatus.js.
+        statusRoles: {
+            type: Map,
+            of: [{ type: String, enum: STAFF_ROLES }],
+            default: undefined,
+            validate: {
+                validator: (statusRoles) => !statusRoles || [...statusRoles.keys()].every(status => ORDER_STATUSES.includes(status)),
+                message: 'Order workflow roles can only be defined for known order statuses.'
+            }
+        }
+    },
     currentDataIndex: { type: Number, default: 0 }
 }, {
     timestamps: true
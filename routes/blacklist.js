@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const BlacklistController = require('../controllers/blacklistController');
+
+// All routes are mounted behind the super admin API key (see server.js).
+
+// @route   GET /blacklist
+// @desc    List shared blacklist entries
+// @access  SuperAdmin
+router.get('/', BlacklistController.listEntries);
+
+// @route   GET /blacklist/:phone
+// @desc    Get one number with its reports and disputes
+// @access  SuperAdmin
+router.get('/:phone', BlacklistController.getEntry);
+
+// @route   PATCH /blacklist/:phone/status
+// @desc    Force a number onto or off the blacklist
+// @access  SuperAdmin
+router.patch('/:phone/status', BlacklistController.updateStatus);
+
+// @route   PATCH /blacklist/:phone/disputes/:disputeId
+// @desc    Accept or reject a tenant's dispute
+// @access  SuperAdmin
+router.patch('/:phone/disputes/:disputeId', BlacklistController.resolveDispute);
+
+// @route   DELETE /blacklist/:phone
+// @desc    Remove a number and its reports
+// @access  SuperAdmin
+router.delete('/:phone', BlacklistController.deleteEntry);
+
+module.exports = router;
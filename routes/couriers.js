@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const CourierController = require('../controllers/courierController');
+const { protect, isAdmin, isAuthorized } = require('../middleware/authMiddleware');
+
+// All routes are mounted behind `identifyTenant` (see server.js).
+
+// @route   POST /couriers/webhooks/:provider
+// @desc    Delivery status events pushed by a courier
+// @access  Public (signature-verified)
+router.post('/webhooks/:provider', CourierController.receiveWebhook);
+
+// @route   GET /couriers/providers
+// @desc    List the available courier providers
+// @access  Private (Admin)
+router.get('/providers', protect, isAdmin, CourierController.getProviders);
+
+// @route   GET /couriers/accounts
+// @desc    List the store's courier accounts
+// @access  Private (Admin)
+router.get('/accounts', protect, isAdmin, CourierController.getAccounts);
+
+// @route   PUT /couriers/accounts
+// @desc    Replace the store's courier accounts and credentials
+// @access  Private (Admin)
+router.put('/accounts', protect, isAdmin, CourierController.updateAccounts);
+
+// @route   POST /couriers/orders/:orderId/shipment
+// @desc    Create a shipment for an order and dispatch it
+// @access  Private (Admin, Confirmation)
+router.post('/orders/:orderId/shipment', protect, isAuthorized('admin', 'confirmation'), CourierController.createShipment);
+
+// @route   GET /couriers/shipments
+// @desc    List shipments
+// @access  Private (Admin, Confirmation)
+router.get('/shipments', protect, isAuthorized('admin', 'confirmation'), CourierController.getShipments);
+
+// @route   GET /couriers/shipments/:shipmentId/tracking
+// @desc    Refresh tracking from the courier
+// @access  Private (Admin, Confirmation)
+router.get('/shipments/:shipmentId/tracking', protect, isAuthorized('admin', 'confirmation'), CourierController.getTracking);
+
+// @route   GET /couriers/shipments/:shipmentId/label
+// @desc    Download the courier's label
+// @access  Private (Admin, Confirmation)
+router.get('/shipments/:shipmentId/label', protect, isAuthorized('admin', 'confirmation'), CourierController.getLabel);
+
+// @route   POST /couriers/shipments/:shipmentId/cancel
+// @desc    Cancel a shipment
+// @access  Private (Admin)
+router.post('/shipments/:shipmentId/cancel', protect, isAdmin, CourierController.cancelShipment);
+
+module.exports = router;
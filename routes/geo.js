@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const GeoController = require('../controllers/geoController');
+
+// Reference data shared by all tenants; no tenant or login is needed.
+
+// @route   GET /geo/wilayas
+// @desc    List the wilayas
+// @access  Public
+router.get('/wilayas', GeoController.getWilayas);
+
+// @route   GET /geo/wilayas/:id/communes
+// @desc    List the communes of a wilaya (code or name)
+// @access  Public
+router.get('/wilayas/:id/communes', GeoController.getCommunes);
+
+module.exports = router;
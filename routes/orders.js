@@ -11,35 +11,87 @@
  * remain restricted to the 'admin' role only.
  * - ADDED: A new Super Admin route `GET /super/all-orders` to fetch all orders from all tenants.
  * - All other fixes and features from the previous version are maintained.
+ * - ADDED: Orders get a per-tenant `orderNumber` (see services/orderNumber.js), which is
+ * shown in notification emails and searchable via `GET /?search=`.
+ * - MODIFIED: `POST /` now prices orders server-side (services/orderPricing.js) and stores
+ * the breakdown in `pricing`. A disagreeing client total is rejected or flagged per tenant.
+ * - ADDED: Public `POST /quote` returning the same server-side pricing plus stock availability.
+ * - MODIFIED: `GET /` is now filtered, searchable and sortable. Paginated requests (`page` or `limit`)
+ * return `{ orders, pagination, statusCounts }`; without them it still returns a bare array.
+ * - MODIFIED: Status changes are validated against the tenant's transition graph
+ * (services/orderStatus.js). Cancelling or returning restores stock, reviving re-deducts it.
+ * - ADDED: `GET /workflow` exposes the effective transition graph.
+ * - MODIFIED: Statuses can be limited to staff roles (`SiteConfig.orderWorkflow.statusRoles`); by default
+ * only admins and courier updates mark orders delivered or returned. `GET /workflow` returns the roles.
+ * - MODIFIED: `PATCH /:orderId` only edits an allowlist of fields. Changing the lines, delivery or
+ * promo code reprices the order and moves the stock it holds (services/orderActions.js).
+ * - ADDED: Every create, edit, status change and delete is written to the append-only
+ * `OrderHistory` collection, exposed via `GET /:orderId/history`.
+ * - ADDED: `POST /bulk` applies status/assign/tag/delete/export to many orders with per-order results.
+ * - ADDED: `GET /export` streams the filtered orders as CSV or XLSX with selectable columns.
+ * - ADDED: `POST /import` loads orders from CSV with column mapping, dry-run and a row-by-row report.
+ * - ADDED: New orders get a risk score (services/orderRisk.js); `GET /?needsReview=true` lists flagged ones.
+ * - ADDED: Opt-in shared blacklist (services/phoneReputation.js). New orders from flagged numbers are
+ * warned about or held; `GET /blacklist/:phone` and `POST /blacklist/disputes` for tenants.
+ * Held orders are listed with `GET /?hold=true` and released with `POST /:orderId/release-hold`;
+ * clearing a number from the blacklist releases its held orders.
+ * - ADDED: Confirmation queue (services/confirmationQueue.js). New orders are distributed to active
+ * agents and `GET /queue/next` locks one at a time; agents never see orders locked by others.
+ * - ADDED: `POST /:orderId/call-attempts` logs confirmation calls, schedules callbacks and
+ * auto-cancels after the tenant's `maxFailedAttempts`.
+ * - ADDED: Customer self-confirmation (services/selfConfirmation.js): `POST /:orderId/self-confirmation`
+ * issues a signed link and short code; public `/self-confirmation/:token` routes confirm, cancel or fix the address.
+ * - MODIFIED: Moving an order to 'dispatched' creates a shipment with the tenant's courier account
+ * (services/courierShipments.js) and stores its tracking number in `barcodeId`.
+ * - ADDED: Courier webhooks (`POST /couriers/webhooks/:provider`) settle orders and keep raw `trackingEvents`.
+ * - ADDED: PDF shipping labels with a Code128 barcode: `GET /:orderId/label` and `POST /labels` (A6 or A4).
+ * - ADDED: Home vs stop-desk delivery. `POST /` and `POST /quote` accept `deliveryType` and `stopDeskId`,
+ * priced and validated per wilaya from `SiteConfig.deliveryFees`.
+ * - MODIFIED: Wilaya and commune are validated against the reference data (services/geo.js, `GET /geo/...`)
+ * and stored as canonical names with `wilayaCode`/`communeCode`; abandoned carts are normalized best-effort.
+ * - ADDED: Delivery rules (services/deliveryRules.js): commune fee overrides, quantity fees, product
+ * surcharges and a free-shipping threshold; quotes return the `shippingBreakdown`.
+ * - MODIFIED: Products with per-variant SKUs (services/productSkus.js) are ordered, priced and
+ * stocked per SKU; order lines record `skuId` and `sku`.
+ * - ADDED: Every stock change made by orders is written to the append-only stock ledger
+ * (services/stockLedger.js) with the order as reference; see `GET /products/:id/stock-history`.
+ * - MODIFIED: `POST /` reserves stock instead of deducting it; confirmation turns the reservation
+ * into a deduction and cancellation or expiry releases it (`order.stockState`, services/orderStatus.js).
  */
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const nodemailer = require('nodemailer');
+const multer = require('multer');
 
 // --- Import Models ---
 const Order = require('../models/Order');
 const AbandonedCart = require('../models/AbandonedCart');
-const Product = require('../models/Product');
+const OrderHistory = require('../models/OrderHistory');
+const User = require('../models/User');
 const Client = require('../models/Client');
 
+// --- Import Services ---
+const { priceOrder, parseClientTotal, isClientTotalMismatch, summarizeQuote, loadSiteConfig } = require('../services/orderPricing');
+const { assessOrderRisk } = require('../services/orderRisk');
+const { httpError } = require('../services/httpError');
+const { resolveLocation, matchLocation } = require('../services/geo');
+const { getTenantTransitions, getTenantStatusRoles, takeOrderStock, STOCK_RELEASED_STATUSES, RESERVING_STATUSES } = require('../services/orderStatus');
+const { recordOrderHistory } = require('../services/orderHistory');
+const { transporter } = require('../services/mailer');
+const { streamOrderExport } = require('../services/orderExport');
+const { streamLabels } = require('../services/orderLabels');
+const { parseOrderCsv, importOrders } = require('../services/orderImport');
+const { updateOrderStatus, updateOrderFields, deleteOrder, addOrderTag, releaseOrderHold, logCallAttempt } = require('../services/orderActions');
+const { buildOrderFilter, buildOrderSort, parsePagination, countOrdersByStatus } = require('../services/orderQuery');
+const { getSharedBlacklistSettings, checkPhoneReputation, openDispute } = require('../services/phoneReputation');
+const { issueSelfConfirmation, getSelfConfirmationOrder, respondToSelfConfirmation } = require('../services/selfConfirmation');
+const { dispatchOrder } = require('../services/courierShipments');
+const { assignQueueAgent, lockNextOrder, applyQueueVisibility, isLockedByOther, releaseOrderLock } = require('../services/confirmationQueue');
+
 // --- Import Middleware ---
 // CRITICAL: Ensure all required middleware, including the new isAuthorized, is imported.
 const { identifyTenant, protect, isAdmin, isSuperAdmin, isAuthorized } = require('../middleware/authMiddleware');
 
-// =========================
-// Nodemailer Configuration
-// =========================
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT || 587,
-    secure: process.env.EMAIL_PORT == 465,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-    },
-});
-
 /**
  * Sends a new order confirmation email to the client.
  * @param {string} clientEmail - The email address of the client to notify.
@@ -53,7 +105,7 @@ const sendOrderConfirmationEmail = async (clientEmail, order) => {
     const mailOptions = {
         from: `"Sheeka Platform" <${process.env.EMAIL_USER}>`,
         to: clientEmail,
-        subject: `🎉 New Order Received! [Order #${order._id}]`,
+        subject: `🎉 New Order Received! [Order #${order.orderNumber || order._id}]`,
         html: `
             <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
                 <h2 style="color: #4CAF50;">You've Received a New Order!</h2>
@@ -62,7 +114,7 @@ const sendOrderConfirmationEmail = async (clientEmail, order) => {
                 <hr>
                 <h3>Order Details</h3>
                 <ul>
-                    <li><strong>Order ID:</strong> ${order._id}</li>
+                    <li><strong>Order Number:</strong> ${order.orderNumber || order._id}</li>
                     <li><strong>Customer Name:</strong> ${order.fullName}</li>
                     <li><strong>Phone Number:</strong> ${order.phoneNumber}</li>
                     <li><strong>Total Price:</strong> ${order.totalPrice} DZD</li>
@@ -89,6 +141,48 @@ const sendOrderConfirmationEmail = async (clientEmail, order) => {
     }
 };
 
+// =========================
+// CSV Import Upload
+// =========================
+// Import files are parsed in memory and never written to disk.
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+    fileFilter: (req, file, cb) => {
+        if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+            return cb(null, true);
+        }
+        cb(new Error('Only CSV files can be imported.'));
+    }
+}).single('file');
+
+
+// =========================
+// Bulk Operations
+// =========================
+
+// Roles allowed to run each bulk action, mirroring the single-order routes.
+const BULK_ACTION_ROLES = {
+    status: ['admin', 'confirmation'],  // PATCH /:orderId/status
+    assign: ['admin'],                  // PATCH /:orderId
+    tag: ['admin'],                     // PATCH /:orderId
+    delete: ['admin'],                  // DELETE /:orderId
+    export: ['admin', 'confirmation']   // GET /:orderId
+};
+const MAX_BULK_ORDERS = 500;
+
+const CALL_OUTCOMES = Order.schema.path('callAttempts').schema.path('outcome').enumValues;
+
+/**
+ * Adds success/failure totals to a list of per-order bulk results.
+ * @param {Array<object>} results - `{ orderId, success, message? }` entries.
+ * @returns {object} `{ total, succeeded, failed, results }`.
+ */
+const summarizeBulkResults = (results) => {
+    const succeeded = results.filter(result => result.success).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded, results };
+};
+
 
 // =========================
 // Public Routes (for placing orders)
@@ -108,7 +202,9 @@ router.post('/abandoned-cart', identifyTenant, async (req, res) => {
         }
         
         const filter = { tenantId: tenantObjectId, phoneNumber, 'product.productId': product.productId };
-        const update = { tenantId: tenantObjectId, fullName, phoneNumber, product, pageUrl, wilaya, commune };
+        // Carts are captured while the customer is still typing, so unknown places are kept as typed.
+        const location = matchLocation({ wilaya, commune });
+        const update = { tenantId: tenantObjectId, fullName, phoneNumber, product, pageUrl, ...location };
         const options = { upsert: true, new: true, setDefaultsOnInsert: true };
 
         const abandonedCart = await AbandonedCart.findOneAndUpdate(filter, update, options);
@@ -119,39 +215,93 @@ router.post('/abandoned-cart', identifyTenant, async (req, res) => {
     }
 });
 
+/**
+ * Returns the exact server-side price breakdown and stock availability for a cart.
+ * Uses the same pricing as `POST /`, so the storefront always shows what will be stored.
+ */
+router.post('/quote', identifyTenant, async (req, res) => {
+    try {
+        const { products, wilaya, commune, deliveryType, stopDeskId, promoCode } = req.body;
+
+        if (!req.tenant) {
+            return res.status(404).json({ message: 'Client not found.' });
+        }
+        if (!products || !products.length || !wilaya) {
+            return res.status(400).json({ message: 'Cart lines and wilaya are required.' });
+        }
+        const location = commune ? resolveLocation({ wilaya, commune }) : matchLocation({ wilaya });
+        if (!location.wilayaCode) {
+            return res.status(400).json({ message: `Unknown wilaya: ${wilaya}.` });
+        }
+
+        const quote = await priceOrder({
+            tenantId: req.tenant._id, items: products, wilaya: location.wilayaCode, communeCode: location.communeCode,
+            deliveryType, stopDeskId, promoCode
+        });
+        res.status(200).json({ ...location, ...summarizeQuote(quote) });
+    } catch (error) {
+        console.error('Order quote error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message || 'Server error while computing quote.', ...error.details });
+    }
+});
+
 router.post('/', identifyTenant, async (req, res) => {
     const session = await mongoose.startSession();
     try {
-        const { fullName, phoneNumber, wilaya, commune, address, products, notes, totalPrice } = req.body;
+        const { fullName, phoneNumber, wilaya, commune, address, deliveryType, stopDeskId, products, notes, totalPrice, promoCode } = req.body;
         
         if (!req.tenant) {
             return res.status(404).json({ message: 'Client not found.' });
         }
         const tenantObjectId = req.tenant._id;
 
-        if (!fullName || !phoneNumber || !wilaya || !commune || !products || !products.length || totalPrice === undefined) {
+        if (!fullName || !phoneNumber || !wilaya || !commune || !products || !products.length) {
             return res.status(400).json({ message: 'Missing required fields.' });
         }
+        const location = resolveLocation({ wilaya, commune });
+        const clientTotal = parseClientTotal(totalPrice);
 
+        let newOrder;
+        let selfConfirmationSettings;
         await session.withTransaction(async () => {
-            for (const item of products) {
-                const product = await Product.findOne({ _id: item.productId, tenantId: tenantObjectId }).session(session);
-                if (!product) {
-                    throw new Error(`Product with ID ${item.productId} not found for this client.`);
-                }
-                if (product.quantity < item.quantity) {
-                    throw new Error(`Insufficient stock for product: ${product.name}.`);
-                }
-                product.quantity -= item.quantity;
-                await product.save({ session });
+            // Prices are recomputed from the catalogue; the client's totalPrice is only compared.
+            const quote = await priceOrder({
+                tenantId: tenantObjectId, items: products, wilaya: location.wilayaCode, communeCode: location.communeCode,
+                deliveryType, stopDeskId, promoCode, session
+            });
+            const mismatch = isClientTotalMismatch(quote, clientTotal);
+            if (mismatch && quote.siteConfig.checkout?.priceMismatchPolicy !== 'flag') {
+                throw httpError(409, 'The order total does not match the current prices. Please review your cart.', {
+                    quote: summarizeQuote(quote)
+                });
             }
+
+            newOrder = new Order({
+                tenantId: tenantObjectId, fullName, phoneNumber, ...location, address, notes,
+                deliveryType: quote.deliveryType,
+                stopDesk: quote.stopDesk || undefined,
+                products: quote.lines,
+                totalPrice: quote.total,
+                pricing: {
+                    subtotal: quote.subtotal,
+                    shipping: quote.shipping,
+                    discount: quote.discount,
+                    total: quote.total,
+                    promoCode: quote.promoCode,
+                    clientTotal,
+                    mismatch
+                }
+            });
+            newOrder.risk = await assessOrderRisk({ order: newOrder, siteConfig: quote.siteConfig, session });
+            await assignQueueAgent({ order: newOrder, tenant: req.tenant, settings: quote.siteConfig.confirmationQueue });
+            selfConfirmationSettings = quote.siteConfig.selfConfirmation;
+            await newOrder.save({ session });
+            // Reserved (or deducted) once saved so ledger entries carry the order number; a short stock aborts the transaction.
+            await takeOrderStock({ order: newOrder, settings: quote.siteConfig.stockReservation, session });
+            await newOrder.save({ session });
+            await recordOrderHistory({ order: newOrder, action: 'created', actorType: 'customer', req, session });
         });
         
-        const newOrder = new Order({
-            tenantId: tenantObjectId, fullName, phoneNumber, wilaya, commune, address, products, notes, totalPrice
-        });
-        await newOrder.save();
-        
         if (products.length > 0) {
             await AbandonedCart.deleteOne({ tenantId: tenantObjectId, phoneNumber, 'product.productId': products[0].productId });
         }
@@ -163,16 +313,74 @@ router.post('/', identifyTenant, async (req, res) => {
             console.log('Client admin email not found, skipping email notification.');
         }
 
-        res.status(201).json({ message: 'Order created successfully', order: newOrder });
+        let selfConfirmation;
+        if (selfConfirmationSettings?.enabled && selfConfirmationSettings.issueOnCreate) {
+            selfConfirmation = await issueSelfConfirmation({
+                tenant: req.tenant, secret: req.jwtSecret, orderId: newOrder._id, settings: selfConfirmationSettings
+            });
+        }
+
+        res.status(201).json({ message: 'Order created successfully', order: newOrder, selfConfirmation });
     } catch (error) {
         console.error('Create order error:', error);
-        res.status(500).json({ message: error.message || 'Server error while creating order.' });
+        res.status(error.statusCode || 500).json({ message: error.message || 'Server error while creating order.', ...error.details });
     } finally {
         session.endSession();
     }
 });
 
 
+/**
+ * Customer self-confirmation. `:token` is the signed token from the link or the short code.
+ */
+router.get('/self-confirmation/:token', identifyTenant, async (req, res) => {
+    try {
+        const summary = await getSelfConfirmationOrder({ tenant: req.tenant, secret: req.jwtSecret, token: req.params.token });
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error('Self-confirmation lookup error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error loading the order.' });
+    }
+});
+
+router.post('/self-confirmation/:token/confirm', identifyTenant, async (req, res) => {
+    try {
+        const summary = await respondToSelfConfirmation({
+            tenant: req.tenant, secret: req.jwtSecret, token: req.params.token, action: 'confirm', req
+        });
+        res.status(200).json({ message: 'Thank you, your order is confirmed.', order: summary });
+    } catch (error) {
+        console.error('Self-confirmation confirm error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error confirming the order.' });
+    }
+});
+
+router.post('/self-confirmation/:token/cancel', identifyTenant, async (req, res) => {
+    try {
+        const summary = await respondToSelfConfirmation({
+            tenant: req.tenant, secret: req.jwtSecret, token: req.params.token, action: 'cancel', req
+        });
+        res.status(200).json({ message: 'Your order has been cancelled.', order: summary });
+    } catch (error) {
+        console.error('Self-confirmation cancel error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error cancelling the order.' });
+    }
+});
+
+// Body: { address, commune }. The wilaya cannot be changed since it sets the delivery fee.
+router.patch('/self-confirmation/:token/address', identifyTenant, async (req, res) => {
+    try {
+        const { address, commune } = req.body;
+        const summary = await respondToSelfConfirmation({
+            tenant: req.tenant, secret: req.jwtSecret, token: req.params.token, action: 'address', changes: { address, commune }, req
+        });
+        res.status(200).json({ message: 'Delivery address updated.', order: summary });
+    } catch (error) {
+        console.error('Self-confirmation address error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error updating the address.' });
+    }
+});
+
 // =========================
 // Protected Routes
 // =========================
@@ -206,81 +414,386 @@ router.delete('/abandoned/:cartId', identifyTenant, protect, isAdmin, async (req
 
 router.patch('/:orderId', identifyTenant, protect, isAdmin, async (req, res) => {
     try {
-        const tenantObjectId = req.tenant._id;
         const { orderId } = req.params;
-        const updateData = req.body;
+        await updateOrderFields({ tenantId: req.tenant._id, orderId, update: req.body, user: req.user, req });
+
+        const updatedOrder = await Order.findById(orderId)
+            .populate('products.productId', 'name price images')
+            .populate('confirmedBy', 'name email')
+            .populate('assignedTo', 'name email');
+        res.status(200).json({ message: 'Order updated successfully', order: updatedOrder });
+    } catch (error) {
+        console.error('Update order error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error updating order.', ...error.details });
+    }
+});
+
+router.delete('/:orderId', identifyTenant, protect, isAdmin, async (req, res) => {
+    try {
+        await deleteOrder({ tenantId: req.tenant._id, orderId: req.params.orderId, user: req.user, req });
+        res.status(200).json({ message: 'Order deleted successfully and stock restored.' });
+    } catch (error) {
+        console.error('Delete order error:', error);
+        res.status(error.statusCode || 500).json({ message: error.message || 'Server error deleting order.' });
+    }
+});
 
-        if (updateData.assignedTo === '') {
-            updateData.assignedTo = null;
+
+// --- Admin & Confirmation Routes ---
+/**
+ * Lists orders with filters, free-text search, sorting and pagination.
+ * Query: status, from, to, wilaya, commune, source, assignedTo, confirmedBy, needsReview, hold, riskLevel,
+ * search, sort, page, limit.
+ * With `page` or `limit`, the response is `{ orders, pagination, statusCounts }`, where the per-status
+ * counts ignore the status filter (for the tab badges). Without them, it is the bare array of every
+ * matching order, as before pagination was added.
+ */
+router.get('/', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const tenantObjectId = req.tenant._id;
+        const filter = applyQueueVisibility(buildOrderFilter(tenantObjectId, req.query), req.user);
+        const sort = buildOrderSort(req.query.sort);
+
+        if (req.query.page === undefined && req.query.limit === undefined) {
+            const orders = await Order.find(filter)
+                .populate('products.productId', 'name price images')
+                .populate('confirmedBy', 'name email')
+                .populate('assignedTo', 'name email')
+                .sort(sort);
+            return res.status(200).json(orders);
         }
 
-        const updatedOrder = await Order.findOneAndUpdate(
-            { _id: orderId, tenantId: tenantObjectId },
-            { $set: updateData },
-            { new: true, runValidators: true }
-        )
-        .populate('products.productId', 'name price images')
-        .populate('confirmedBy', 'name email')
-        .populate('assignedTo', 'name email');
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [orders, total, statusCounts] = await Promise.all([
+            Order.find(filter)
+                .populate('products.productId', 'name price images')
+                .populate('confirmedBy', 'name email')
+                .populate('assignedTo', 'name email')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Order.countDocuments(filter),
+            countOrdersByStatus(applyQueueVisibility(buildOrderFilter(tenantObjectId, req.query, { ignoreStatus: true }), req.user))
+        ]);
+
+        res.status(200).json({
+            orders,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            statusCounts
+        });
+    } catch (error) {
+        console.error('Fetch orders error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error fetching orders.' });
+    }
+});
 
-        if (!updatedOrder) {
-            return res.status(404).json({ message: 'Order not found for this client.' });
+/**
+ * Returns the tenant's effective status transition graph and the roles allowed per status,
+ * so the dashboard only offers valid moves.
+ */
+router.get('/workflow', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const [transitions, statusRoles] = await Promise.all([
+            getTenantTransitions(req.tenant._id),
+            getTenantStatusRoles(req.tenant._id)
+        ]);
+        res.status(200).json({ transitions, statusRoles, stockReleasedStatuses: STOCK_RELEASED_STATUSES, stockReservingStatuses: RESERVING_STATUSES });
+    } catch (error) {
+        console.error('Fetch order workflow error:', error);
+        res.status(500).json({ message: 'Server error fetching order workflow.' });
+    }
+});
+
+/**
+ * Streams the filtered orders as CSV or XLSX.
+ * Query: the `GET /` filters plus format (csv|xlsx), columns (comma-separated keys)
+ * and layout ("orders" for one row per order, "lines" for one row per product line).
+ */
+router.get('/export', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const { format = 'csv', columns, layout } = req.query;
+        const filter = applyQueueVisibility(buildOrderFilter(req.tenant._id, req.query), req.user);
+        const cursor = Order.find(filter)
+            .populate('confirmedBy', 'name')
+            .populate('assignedTo', 'name')
+            .sort(buildOrderSort(req.query.sort))
+            .lean()
+            .cursor({ batchSize: 500 });
+
+        const filename = `orders-${req.tenant.subdomain}-${new Date().toISOString().slice(0, 10)}`;
+        await streamOrderExport({ res, cursor, format, columns, layout, filename });
+    } catch (error) {
+        console.error('Export orders error:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
         }
-        res.status(200).json({ message: 'Order updated successfully', order: updatedOrder });
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error exporting orders.' });
+    }
+});
+
+/**
+ * Prints shipping labels for several orders in one PDF, in the order given.
+ * Body: { orderIds, size: 'A6' | 'A4' }
+ */
+router.post('/labels', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const { orderIds, size } = req.body;
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            return res.status(400).json({ message: 'orderIds must be a non-empty array.' });
+        }
+        if (orderIds.length > MAX_BULK_ORDERS) {
+            return res.status(400).json({ message: `At most ${MAX_BULK_ORDERS} labels can be printed at once.` });
+        }
+        const ids = [...new Set(orderIds.map(String))];
+        if (!ids.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ message: 'Invalid order ID.' });
+        }
+
+        const [orders, siteConfig] = await Promise.all([
+            Order.find({ _id: { $in: ids }, tenantId: req.tenant._id }).lean(),
+            loadSiteConfig(req.tenant._id)
+        ]);
+        const byId = new Map(orders.map(order => [String(order._id), order]));
+        const missing = ids.filter(id => !byId.has(id));
+        if (missing.length) {
+            return res.status(404).json({ message: 'Some orders were not found for this client.', orderIds: missing });
+        }
+
+        const filename = `labels-${req.tenant.subdomain}-${new Date().toISOString().slice(0, 10)}`;
+        await streamLabels({ orders: ids.map(id => byId.get(id)), siteConfig, size, res, filename });
     } catch (error) {
-        console.error('Update order error:', error);
-        res.status(500).json({ message: 'Server error updating order.' });
+        console.error('Print labels error:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error printing labels.', ...error.details });
     }
 });
 
-router.delete('/:orderId', identifyTenant, protect, isAdmin, async (req, res) => {
-    const session = await mongoose.startSession();
+/**
+ * Imports orders from an uploaded CSV file (multipart field "file").
+ * Fields: mapping (JSON: { orderField: 'CSV header' }), dryRun, deductStock, source (import|messenger), delimiter.
+ * Returns a row-by-row report; with dryRun=true rows are only validated.
+ */
+router.post('/import', identifyTenant, protect, isAdmin, (req, res, next) => {
+    importUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ message: err.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'A CSV file is required.' });
+        }
+        const { mapping, dryRun, deductStock: shouldDeductStock, source, delimiter } = req.body;
+
+        const rows = parseOrderCsv(req.file.buffer, delimiter || ',');
+        const report = await importOrders({
+            tenant: req.tenant,
+            rows,
+            mapping,
+            dryRun: dryRun === 'true' || dryRun === true,
+            deductStock: shouldDeductStock === 'true' || shouldDeductStock === true,
+            source: source || 'import',
+            user: req.user,
+            req
+        });
+
+        res.status(report.dryRun ? 200 : 201).json(report);
+    } catch (error) {
+        console.error('Import orders error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error importing orders.' });
+    }
+});
+
+/**
+ * Applies one action to a list of orders and reports success or failure per order.
+ * Body: { action, orderIds, status?, notes?, assignedTo?, tag? }
+ * Each action requires the same roles as its single-order route, and each order is
+ * processed in its own transaction so one failure does not roll back the others.
+ */
+router.post('/bulk', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
     try {
         const tenantObjectId = req.tenant._id;
-        const { orderId } = req.params;
-        let deletedOrder;
-        await session.withTransaction(async () => {
-            const order = await Order.findOne({ _id: orderId, tenantId: tenantObjectId }).session(session);
-            if (!order) {
-                throw new Error('Order not found for this client.');
+        const { action, orderIds, status, notes, assignedTo, tag } = req.body;
+
+        const allowedRoles = BULK_ACTION_ROLES[action];
+        if (!allowedRoles) {
+            return res.status(400).json({ message: `Invalid bulk action. Allowed: ${Object.keys(BULK_ACTION_ROLES).join(', ')}.` });
+        }
+        if (!allowedRoles.includes(req.user.role)) {
+            return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+        }
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            return res.status(400).json({ message: 'orderIds must be a non-empty array.' });
+        }
+        if (orderIds.length > MAX_BULK_ORDERS) {
+            return res.status(400).json({ message: `A bulk request can include at most ${MAX_BULK_ORDERS} orders.` });
+        }
+        if (action === 'status' && !status) {
+            return res.status(400).json({ message: 'A status is required for the status action.' });
+        }
+        if (action === 'tag' && (!tag || !String(tag).trim())) {
+            return res.status(400).json({ message: 'A tag is required for the tag action.' });
+        }
+        if (action === 'assign' && assignedTo) {
+            const assignee = mongoose.isValidObjectId(assignedTo)
+                && await User.exists({ _id: assignedTo, tenantId: req.tenant.tenantId });
+            if (!assignee) {
+                return res.status(400).json({ message: 'The selected user does not belong to this client.' });
             }
-            if (order.status !== 'cancelled') {
-                for (const item of order.products) {
-                    await Product.updateOne(
-                        { _id: item.productId, tenantId: tenantObjectId },
-                        { $inc: { quantity: item.quantity } },
-                        { session }
-                    );
+        }
+
+        const ids = [...new Set(orderIds.map(String))];
+
+        if (action === 'export') {
+            const orders = await Order.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) }, tenantId: tenantObjectId })
+                .populate('products.productId', 'name price images')
+                .populate('confirmedBy', 'name email')
+                .populate('assignedTo', 'name email');
+            const found = new Set(orders.map(order => String(order._id)));
+            const results = ids.map(orderId => found.has(orderId)
+                ? { orderId, success: true }
+                : { orderId, success: false, message: 'Order not found for this client.' });
+            return res.status(200).json({ action, ...summarizeBulkResults(results), orders });
+        }
+
+        const results = [];
+        for (const orderId of ids) {
+            try {
+                const params = { tenantId: tenantObjectId, orderId, user: req.user, req };
+                if (action === 'status' && status === 'dispatched') {
+                    await dispatchOrder({ ...params, tenant: req.tenant, notes });
+                } else if (action === 'status') {
+                    await updateOrderStatus({ ...params, status, notes });
+                } else if (action === 'assign') {
+                    await updateOrderFields({ ...params, update: { assignedTo: assignedTo || null } });
+                } else if (action === 'tag') {
+                    await addOrderTag({ ...params, tag: String(tag).trim() });
+                } else if (action === 'delete') {
+                    await deleteOrder(params);
+                }
+                results.push({ orderId, success: true });
+            } catch (error) {
+                if (!error.statusCode) {
+                    console.error(`Bulk ${action} error for order ${orderId}:`, error);
                 }
+                results.push({ orderId, success: false, message: error.statusCode ? error.message : 'Server error processing order.' });
             }
-            deletedOrder = await Order.findOneAndDelete({ _id: orderId, tenantId: tenantObjectId }).session(session);
-        });
-        if (!deletedOrder) {
-             return res.status(404).json({ message: 'Order not found for this client.' });
         }
-        res.status(200).json({ message: 'Order deleted successfully and stock restored.' });
+
+        res.status(200).json({ action, ...summarizeBulkResults(results) });
     } catch (error) {
-        console.error('Delete order error:', error);
-        res.status(500).json({ message: error.message || 'Server error deleting order.' });
-    } finally {
-        session.endSession();
+        console.error('Bulk order operation error:', error);
+        res.status(500).json({ message: 'Server error processing bulk order operation.' });
     }
 });
 
+/**
+ * Locks the next pending order to the calling agent for the tenant's `lockMinutes`.
+ * Calling again while the lock is live returns the same order. 204 when the queue is empty.
+ */
+router.get('/queue/next', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const locked = await lockNextOrder({ tenant: req.tenant, user: req.user });
+        if (!locked) {
+            return res.status(204).end();
+        }
+        const order = await Order.findById(locked._id)
+            .populate('products.productId', 'name price images')
+            .populate('assignedTo', 'name email');
+        res.status(200).json(order);
+    } catch (error) {
+        console.error('Confirmation queue error:', error);
+        res.status(500).json({ message: 'Server error fetching the next order.' });
+    }
+});
 
-// --- Admin & Confirmation Routes ---
-router.get('/', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+/**
+ * Lists the orders currently locked by the calling agent.
+ */
+router.get('/queue/mine', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
     try {
-        const tenantObjectId = req.tenant._id;
-        const orders = await Order.find({ tenantId: tenantObjectId })
+        const orders = await Order.find({
+            tenantId: req.tenant._id,
+            'queue.lockedBy': req.user._id,
+            'queue.lockExpiresAt': { $gt: new Date() }
+        })
             .populate('products.productId', 'name price images')
-            .populate('confirmedBy', 'name email')
-            .populate('assignedTo', 'name email')
-            .sort({ createdAt: -1 });
+            .sort({ createdAt: 1 });
         res.status(200).json(orders);
     } catch (error) {
-        console.error('Fetch orders error:', error);
-        res.status(500).json({ message: 'Server error fetching orders.' });
+        console.error('Fetch locked orders error:', error);
+        res.status(500).json({ message: 'Server error fetching your locked orders.' });
+    }
+});
+
+/**
+ * Releases a queue lock without changing the order, so another agent can take it.
+ * Agents can release their own locks; admins can release any lock.
+ */
+router.post('/queue/:orderId/release', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const order = await releaseOrderLock({ tenantId: req.tenant._id, orderId: req.params.orderId, user: req.user });
+        res.status(200).json({ message: 'Order released back to the queue.', orderId: order._id });
+    } catch (error) {
+        console.error('Release queue lock error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error releasing the order.' });
+    }
+});
+
+/**
+ * Releases an order held because its number is on the shared blacklist, putting it back in the queue.
+ */
+router.post('/:orderId/release-hold', identifyTenant, protect, isAdmin, async (req, res) => {
+    try {
+        const order = await releaseOrderHold({ tenantId: req.tenant._id, orderId: req.params.orderId, user: req.user, req });
+        res.status(200).json({ message: 'Order released from hold.', orderId: order._id });
+    } catch (error) {
+        console.error('Release order hold error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error releasing the order.' });
+    }
+});
+
+/**
+ * Looks a phone number up in the platform-wide shared blacklist (aggregate counts only).
+ * Only available to tenants that opted in via `SiteConfig.sharedBlacklist.enabled`.
+ */
+router.get('/blacklist/:phone', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const reputation = await checkPhoneReputation({ tenantId: req.tenant._id, phone: req.params.phone });
+        if (!reputation) {
+            return res.status(403).json({ message: 'Enable the shared blacklist in your site settings to use it.' });
+        }
+        res.status(200).json(reputation);
+    } catch (error) {
+        console.error('Shared blacklist lookup error:', error);
+        res.status(500).json({ message: 'Server error checking the shared blacklist.' });
+    }
+});
+
+/**
+ * Disputes a number's blacklisting (e.g. the customer was wrongly reported).
+ * Body: { phoneNumber, reason, contact }. Reviewed by a super admin.
+ */
+router.post('/blacklist/disputes', identifyTenant, protect, isAdmin, async (req, res) => {
+    try {
+        const settings = await getSharedBlacklistSettings(req.tenant._id);
+        if (!settings.enabled) {
+            return res.status(403).json({ message: 'Enable the shared blacklist in your site settings to use it.' });
+        }
+        const { phoneNumber, reason, contact } = req.body;
+        if (!phoneNumber) {
+            return res.status(400).json({ message: 'phoneNumber is required.' });
+        }
+        const dispute = await openDispute({ tenantId: req.tenant._id, phone: phoneNumber, reason, contact });
+        res.status(201).json({ message: 'Dispute submitted for review.', dispute: { _id: dispute._id, status: dispute.status } });
+    } catch (error) {
+        console.error('Shared blacklist dispute error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error submitting the dispute.' });
     }
 });
 
@@ -291,10 +804,15 @@ router.get('/:orderId', identifyTenant, protect, isAuthorized('admin', 'confirma
         const order = await Order.findOne({ _id: orderId, tenantId: tenantObjectId })
             .populate('products.productId', 'name price images')
             .populate('confirmedBy', 'name email')
-            .populate('assignedTo', 'name email');
+            .populate('assignedTo', 'name email')
+            .populate('callAttempts.agent', 'name')
+            .populate('courier.shipment');
         if (!order) {
             return res.status(404).json({ message: 'Order not found for this client.' });
         }
+        if (req.user.role === 'confirmation' && isLockedByOther(order, req.user)) {
+            return res.status(423).json({ message: 'This order is locked by another agent.', lockExpiresAt: order.queue.lockExpiresAt });
+        }
         res.status(200).json(order);
     } catch (error) {
         console.error('Fetch single order error:', error);
@@ -302,9 +820,95 @@ router.get('/:orderId', identifyTenant, protect, isAuthorized('admin', 'confirma
     }
 });
 
+/**
+ * Prints the shipping label of one order. Query: size (A6|A4).
+ */
+router.get('/:orderId/label', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        if (!mongoose.isValidObjectId(orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID.' });
+        }
+        const [order, siteConfig] = await Promise.all([
+            Order.findOne({ _id: orderId, tenantId: req.tenant._id }).lean(),
+            loadSiteConfig(req.tenant._id)
+        ]);
+        if (!order) {
+            return res.status(404).json({ message: 'Order not found for this client.' });
+        }
+        await streamLabels({ orders: [order], siteConfig, size: req.query.size, res, filename: `label-${order.orderNumber || order._id}` });
+    } catch (error) {
+        console.error('Print label error:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error printing the label.', ...error.details });
+    }
+});
+
+/**
+ * Returns the append-only change history of an order, oldest first.
+ * History is kept after an order is deleted, so disputes can still be settled.
+ */
+router.get('/:orderId/history', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        if (!mongoose.isValidObjectId(orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID.' });
+        }
+        const history = await OrderHistory.find({ tenantId: req.tenant._id, orderId })
+            .populate('changedBy', 'name email role')
+            .sort({ createdAt: 1 });
+        res.status(200).json(history);
+    } catch (error) {
+        console.error('Fetch order history error:', error);
+        res.status(500).json({ message: 'Server error fetching order history.' });
+    }
+});
+
+/**
+ * Issues a new self-confirmation link and short code for the customer (revoking older ones).
+ */
+router.post('/:orderId/self-confirmation', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.orderId)) {
+            return res.status(400).json({ message: 'Invalid order ID.' });
+        }
+        const selfConfirmation = await issueSelfConfirmation({ tenant: req.tenant, secret: req.jwtSecret, orderId: req.params.orderId });
+        res.status(201).json(selfConfirmation);
+    } catch (error) {
+        console.error('Issue self-confirmation error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error issuing the confirmation link.' });
+    }
+});
+
+/**
+ * Logs a confirmation call attempt.
+ * Body: { outcome: no_answer|busy|wrong_number|call_later|refused, note, callbackAt }
+ */
+router.post('/:orderId/call-attempts', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
+    try {
+        const { outcome, note, callbackAt } = req.body;
+        if (!CALL_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({ message: `Invalid outcome. Allowed: ${CALL_OUTCOMES.join(', ')}.` });
+        }
+        const order = await logCallAttempt({
+            tenantId: req.tenant._id, orderId: req.params.orderId, outcome, note, callbackAt, user: req.user, req
+        });
+        res.status(201).json({
+            message: 'Call attempt logged.',
+            status: order.status,
+            callbackAt: order.queue.callbackAt,
+            callAttempts: order.callAttempts
+        });
+    } catch (error) {
+        console.error('Log call attempt error:', error);
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error logging the call attempt.', ...error.details });
+    }
+});
+
 router.patch('/:orderId/status', identifyTenant, protect, isAuthorized('admin', 'confirmation'), async (req, res) => {
     try {
-        const tenantObjectId = req.tenant._id;
         const { orderId } = req.params;
         const { status, notes } = req.body;
 
@@ -312,35 +916,21 @@ router.patch('/:orderId/status', identifyTenant, protect, isAuthorized('admin',
              return res.status(400).json({ message: 'No status or notes provided for update.' });
         }
 
-        const updateFields = {};
-        if (notes !== undefined) {
-            updateFields.notes = notes;
-        }
-        if (status) {
-            updateFields.status = status;
-            updateFields[`statusTimestamps.${status}`] = new Date();
-            if (status === 'confirmed') {
-                updateFields.confirmedBy = req.user.id;
-            }
+        if (status === 'dispatched') {
+            await dispatchOrder({ tenant: req.tenant, orderId, notes, user: req.user, req });
+        } else {
+            await updateOrderStatus({ tenantId: req.tenant._id, orderId, status, notes, user: req.user, req });
         }
 
-        const updatedOrder = await Order.findOneAndUpdate(
-            { _id: orderId, tenantId: tenantObjectId },
-            { $set: updateFields },
-            { new: true }
-        )
-        .populate('products.productId', 'name price images')
-        .populate('confirmedBy', 'name email')
-        .populate('assignedTo', 'name email');
-
-        if (!updatedOrder) {
-            return res.status(404).json({ message: 'Order not found for this client.' });
-        }
+        const updatedOrder = await Order.findById(orderId)
+            .populate('products.productId', 'name price images')
+            .populate('confirmedBy', 'name email')
+            .populate('assignedTo', 'name email');
             
         res.status(200).json({ message: 'Order status updated successfully', order: updatedOrder });
     } catch (error) {
         console.error('Error updating order status:', error);
-        res.status(500).json({ message: 'Server error updating order status.' });
+        res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error updating order status.', ...error.details });
     }
 });
 
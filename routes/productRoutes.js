@@ -23,6 +23,10 @@ const {
     addProduct,
     updateProduct,
     deleteProduct,
+    getProductStockHistory,
+    adjustProductStock,
+    getStockConsistency,
+    getLowStockProducts,
     createProductReview,
     getCollections,
     addCollection,
@@ -41,6 +45,7 @@ const {
 const {
     protect,
     isAdmin,
+    isAuthorized,
     protectCustomer
 } = require('../middleware/authMiddleware');
 
@@ -155,6 +160,48 @@ router.get(
     getProductByBarcode
 );
 
+// ================================
+// 📒 STOCK LEDGER ROUTES
+// ================================
+
+// Re-derive every product's stock from the ledger and report mismatches (Admin & Stock Agent)
+router.get(
+    '/stock/consistency',
+    identifyTenant,
+    protect,
+    isAuthorized('admin', 'stockagent'),
+    getStockConsistency
+);
+
+// Products and SKUs at or below their reorder threshold, fewest days of cover first (Admin & Stock Agent)
+router.get(
+    '/low-stock',
+    identifyTenant,
+    protect,
+    isAuthorized('admin', 'stockagent'),
+    getLowStockProducts
+);
+
+// Get the stock movements of a product, newest first (Admin & Stock Agent)
+router.get(
+    '/:id/stock-history',
+    identifyTenant,
+    protect,
+    isAuthorized('admin', 'stockagent'),
+    param('id').isMongoId(),
+    getProductStockHistory
+);
+
+// Record a manual adjustment, stock-take, return or receipt for a product (Admin & Stock Agent)
+router.post(
+    '/:id/stock-adjustments',
+    identifyTenant,
+    protect,
+    isAuthorized('admin', 'stockagent'),
+    param('id').isMongoId(),
+    adjustProductStock
+);
+
 // Get a single product by ID for a tenant (This route can be used by admin panels)
 router.get(
     '/:id',
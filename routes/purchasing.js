@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const PurchasingController = require('../controllers/purchasingController');
+const { protect, isAuthorized } = require('../middleware/authMiddleware');
+
+// All routes are mounted behind `identifyTenant` (see server.js).
+
+const stockStaff = isAuthorized('admin', 'stockagent');
+
+// @route   GET /purchasing/suppliers
+// @desc    List suppliers
+// @access  Private (Admin, Stock agent)
+router.get('/suppliers', protect, stockStaff, PurchasingController.getSuppliers);
+
+// @route   POST /purchasing/suppliers
+// @desc    Create a supplier
+// @access  Private (Admin, Stock agent)
+router.post('/suppliers', protect, stockStaff, PurchasingController.createSupplier);
+
+// @route   PUT /purchasing/suppliers/:supplierId
+// @desc    Update or deactivate a supplier
+// @access  Private (Admin, Stock agent)
+router.put('/suppliers/:supplierId', protect, stockStaff, PurchasingController.updateSupplier);
+
+// @route   GET /purchasing/purchase-orders
+// @desc    List purchase orders
+// @access  Private (Admin, Stock agent)
+router.get('/purchase-orders', protect, stockStaff, PurchasingController.getPurchaseOrders);
+
+// @route   POST /purchasing/purchase-orders
+// @desc    Create a draft purchase order
+// @access  Private (Admin, Stock agent)
+router.post('/purchase-orders', protect, stockStaff, PurchasingController.createPurchaseOrder);
+
+// @route   GET /purchasing/purchase-orders/:id
+// @desc    Get a purchase order with its receipts and discrepancies
+// @access  Private (Admin, Stock agent)
+router.get('/purchase-orders/:id', protect, stockStaff, PurchasingController.getPurchaseOrder);
+
+// @route   PUT /purchasing/purchase-orders/:id
+// @desc    Update a purchase order
+// @access  Private (Admin, Stock agent)
+router.put('/purchase-orders/:id', protect, stockStaff, PurchasingController.updatePurchaseOrder);
+
+// @route   PATCH /purchasing/purchase-orders/:id/status
+// @desc    Mark a purchase order as ordered, cancel or close it
+// @access  Private (Admin, Stock agent)
+router.patch('/purchase-orders/:id/status', protect, stockStaff, PurchasingController.updatePurchaseOrderStatus);
+
+// @route   GET /purchasing/purchase-orders/:id/scan/:barcode
+// @desc    Find the purchase order line of a scanned barcode
+// @access  Private (Admin, Stock agent)
+router.get('/purchase-orders/:id/scan/:barcode', protect, stockStaff, PurchasingController.scanBarcode);
+
+// @route   POST /purchasing/purchase-orders/:id/receipts
+// @desc    Receive goods (scanned barcodes) and add them to stock
+// @access  Private (Admin, Stock agent)
+router.post('/purchase-orders/:id/receipts', protect, stockStaff, PurchasingController.receivePurchaseOrder);
+
+// @route   GET /purchasing/purchase-orders/:id/discrepancies
+// @desc    Report lines received short or over
+// @access  Private (Admin, Stock agent)
+router.get('/purchase-orders/:id/discrepancies', protect, stockStaff, PurchasingController.getDiscrepancies);
+
+module.exports = router;
@@ -34,6 +34,8 @@ const morgan = require('morgan');
 
 const path = require('path');
 
+const { rekeyDeliveryFees } = require('./services/orderPricing');
+
 
 
 const app = express();
@@ -54,9 +56,9 @@ app.use(cors({ origin: '*' })); 
 
 
 
-// Parse incoming JSON request bodies
+// Parse incoming JSON request bodies. The raw body is kept for webhook signature checks.
 
-app.use(express.json());
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 
 
@@ -142,7 +144,11 @@ const connectDB = async () => {
 
 };
 
-connectDB();
+connectDB().then(() => rekeyDeliveryFees()
+
+    .then(count => count && console.log(`Re-keyed the delivery fees of ${count} site configuration(s).`))
+
+    .catch(error => console.error('Error re-keying delivery fees:', error)));
 
 
 
@@ -176,6 +182,22 @@ const siteConfigRoutes = require('./routes/site'); 
 
 const emailRoutes = require('./routes/emails');
 
+const blacklistRoutes = require('./routes/blacklist');
+
+const courierRoutes = require('./routes/couriers');
+
+const geoRoutes = require('./routes/geo');
+
+const purchasingRoutes = require('./routes/purchasing');
+
+
+
+const { startStockAlertScheduler } = require('./services/stockAlerts');
+
+
+
+const { startReservationScheduler } = require('./services/stockReservations');
+
 
 
 
@@ -202,6 +224,14 @@ app.use('/site-config', identifyTenant, siteConfigRoutes);
 
 app.use('/emails', emailRoutes);
 
+app.use('/couriers', identifyTenant, courierRoutes);
+
+app.use('/blacklist', isSuperAdmin, blacklistRoutes);
+
+app.use('/geo', geoRoutes);
+
+app.use('/purchasing', identifyTenant, purchasingRoutes);
+
 
 
 // ========================
@@ -251,3 +281,11 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
 
 });
+
+
+
+// Daily low-stock digests (services/stockAlerts.js) and expiry of stock reservations (services/stockReservations.js)
+
+startStockAlertScheduler();
+
+startReservationScheduler();
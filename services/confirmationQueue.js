@@ -0,0 +1,264 @@
+/**
+ * FILE: ./services/confirmationQueue.js
+ * DESC: The confirmation call-center queue.
+ *
+ * New pending orders are distributed to an active confirmation agent (`User.index === 1`),
+ * round-robin or to the least-loaded agent. `lockNextOrder` then atomically locks one order
+ * to the calling agent for `lockMinutes`, so two agents never call the same customer.
+ * Locks are released by a status change or, lazily, once `queue.lockExpiresAt` has passed.
+ * Orders with a scheduled callback (`queue.callbackAt`) stay out of the queue until it is due.
+ */
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const SiteConfig = require('../models/sitecontroll');
+const { getNextSequenceValue } = require('./sequence');
+const { httpError } = require('./httpError');
+
+// Orders in these statuses are waiting for a confirmation call.
+const QUEUE_STATUSES = ['pending', 'tentative'];
+
+const DEFAULT_QUEUE_SETTINGS = {
+    distribution: 'least_loaded',
+    lockMinutes: 15,
+    shareBacklog: false,
+    maxFailedAttempts: 5,
+    retryDelayMinutes: 60
+};
+
+/**
+ * Loads a tenant's queue settings.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The settings, with defaults applied.
+ */
+const getQueueSettings = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'confirmationQueue')
+        .session(session || null)
+        .lean();
+    return { ...DEFAULT_QUEUE_SETTINGS, ...(siteConfig?.confirmationQueue || {}) };
+};
+
+/**
+ * Lists the tenant's active confirmation agents, in a stable order.
+ * @param {number} numericTenantId - The tenant's numeric `tenantId` (as stored on users).
+ * @returns {Promise<Array<object>>} The agents (`_id` and `name`).
+ */
+const getActiveAgents = (numericTenantId) =>
+    User.find({ tenantId: numericTenantId, role: 'confirmation', index: 1 }, 'name')
+        .sort({ _id: 1 })
+        .lean();
+
+/**
+ * Filter for orders that are not locked, or whose lock has expired.
+ * @param {Date} now - The current time.
+ * @returns {object} A MongoDB filter.
+ */
+const unlockedFilter = (now) => ({ 'queue.lockExpiresAt': { $not: { $gt: now } } });
+
+/**
+ * Picks the agent a new order should be distributed to.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {object} params.settings - The tenant's queue settings.
+ * @returns {Promise<object|null>} The agent's ObjectId, or null if no agent is active.
+ */
+const pickAgent = async ({ tenant, settings }) => {
+    if (settings.distribution === 'none') {
+        return null;
+    }
+    const agents = await getActiveAgents(tenant.tenantId);
+    if (agents.length === 0) {
+        return null;
+    }
+
+    if (settings.distribution === 'round_robin') {
+        const turn = await getNextSequenceValue(`confirmationQueue_${tenant._id}`);
+        return agents[turn % agents.length]._id;
+    }
+
+    // Least-loaded: the agent with the fewest orders still waiting in the queue.
+    const loads = await Order.aggregate([
+        { $match: { tenantId: tenant._id, status: { $in: QUEUE_STATUSES }, 'queue.agent': { $in: agents.map(agent => agent._id) } } },
+        { $group: { _id: '$queue.agent', count: { $sum: 1 } } }
+    ]);
+    const loadByAgent = new Map(loads.map(row => [String(row._id), row.count]));
+    return agents.reduce((best, agent) =>
+        (loadByAgent.get(String(agent._id)) || 0) < (loadByAgent.get(String(best._id)) || 0) ? agent : best
+    )._id;
+};
+
+/**
+ * Distributes a new (unsaved) order to a confirmation agent. Does not save.
+ * @param {object} params
+ * @param {object} params.order - The order document.
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {object} [params.settings] - Pre-loaded queue settings.
+ * @returns {Promise<object>} The order document.
+ */
+const assignQueueAgent = async ({ order, tenant, settings }) => {
+    if (!QUEUE_STATUSES.includes(order.status)) {
+        return order;
+    }
+    const resolvedSettings = settings
+        ? { ...DEFAULT_QUEUE_SETTINGS, ...settings }
+        : await getQueueSettings(tenant._id);
+    order.queue.agent = await pickAgent({ tenant, settings: resolvedSettings });
+    return order;
+};
+
+/**
+ * Atomically locks the next order to an agent. An agent holding a live lock gets that
+ * order back instead of a new one, even from concurrent calls (double click, two tabs).
+ * Orders on hold (`risk.hold`) are left to admins, who list them with `GET /orders?hold=true`
+ * and release them with `POST /orders/:orderId/release-hold`.
+ * Priority: orders distributed to the agent, then unassigned orders (or orders of agents
+ * that are no longer active), then, with `shareBacklog`, any other agent's orders.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {object} params.user - The calling agent.
+ * @returns {Promise<object|null>} The locked order, or null if the queue is empty.
+ */
+const lockNextOrder = async ({ tenant, user }) => {
+    const session = await mongoose.startSession();
+    try {
+        let locked = null;
+        await session.withTransaction(async () => {
+            locked = null;
+            const now = new Date();
+            // Every call writes the agent's marker, so concurrent calls of one agent conflict: the
+            // retried transaction then finds the lock the other one took instead of taking a second.
+            await User.updateOne({ _id: user._id }, { $set: { queueLockedAt: now } }, { session });
+            const current = await Order.findOne({
+                tenantId: tenant._id,
+                status: { $in: QUEUE_STATUSES },
+                'queue.lockedBy': user._id,
+                'queue.lockExpiresAt': { $gt: now }
+            }).session(session);
+            if (current) {
+                locked = current;
+                return;
+            }
+
+            const settings = await getQueueSettings(tenant._id, session);
+            const agents = await getActiveAgents(tenant.tenantId);
+            const baseFilter = {
+                tenantId: tenant._id,
+                status: { $in: QUEUE_STATUSES },
+                'risk.hold': { $ne: true },
+                'queue.callbackAt': { $not: { $gt: now } },
+                ...unlockedFilter(now)
+            };
+            const tiers = [
+                { 'queue.agent': user._id },
+                { 'queue.agent': { $nin: agents.map(agent => agent._id) } }
+            ];
+            if (settings.shareBacklog) {
+                tiers.push({});
+            }
+
+            const lockExpiresAt = new Date(now.getTime() + settings.lockMinutes * 60 * 1000);
+            for (const tier of tiers) {
+                locked = await Order.findOneAndUpdate(
+                    { ...baseFilter, ...tier },
+                    { $set: { 'queue.agent': user._id, 'queue.lockedBy': user._id, 'queue.lockExpiresAt': lockExpiresAt } },
+                    // Due callbacks first (customers expect the call), then the oldest orders.
+                    { sort: { 'queue.callbackAt': -1, createdAt: 1 }, new: true, session }
+                );
+                if (locked) {
+                    return;
+                }
+            }
+        });
+        return locked;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Whether an order is currently locked by someone other than the given user.
+ * @param {object} order - The order.
+ * @param {object} user - The staff member.
+ * @returns {boolean}
+ */
+const isLockedByOther = (order, user) =>
+    Boolean(order.queue?.lockedBy) &&
+    order.queue.lockExpiresAt > new Date() &&
+    String(order.queue.lockedBy._id || order.queue.lockedBy) !== String(user._id);
+
+/**
+ * Rejects confirmation agents working on an order another agent has locked. Admins are not restricted.
+ * @param {object} order - The order.
+ * @param {object} user - The staff member.
+ */
+const assertQueueAccess = (order, user) => {
+    if (user?.role === 'confirmation' && isLockedByOther(order, user)) {
+        throw httpError(423, 'This order is locked by another agent.', { lockExpiresAt: order.queue.lockExpiresAt });
+    }
+};
+
+/**
+ * Restricts an order filter so confirmation agents do not see orders locked by other agents.
+ * @param {object} filter - An order filter.
+ * @param {object} user - The staff member.
+ * @returns {object} The restricted filter (unchanged for admins).
+ */
+const applyQueueVisibility = (filter, user) => {
+    if (user?.role !== 'confirmation') {
+        return filter;
+    }
+    return { $and: [filter, { $or: [unlockedFilter(new Date()), { 'queue.lockedBy': user._id }] }] };
+};
+
+/**
+ * Clears an order's lock. Does not save.
+ * @param {object} order - The order document.
+ * @returns {object} The order document.
+ */
+const releaseLock = (order) => {
+    order.queue.lockedBy = null;
+    order.queue.lockExpiresAt = null;
+    return order;
+};
+
+/**
+ * Releases a lock held on an order. Agents can only release their own locks.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {object} params.user - The staff member.
+ * @returns {Promise<object>} The updated order.
+ */
+const releaseOrderLock = async ({ tenantId, orderId, user }) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw httpError(400, `Invalid order ID: ${orderId}.`);
+    }
+    const filter = { _id: orderId, tenantId };
+    if (user.role === 'confirmation') {
+        filter['queue.lockedBy'] = user._id;
+    }
+    const order = await Order.findOneAndUpdate(
+        filter,
+        { $set: { 'queue.lockedBy': null, 'queue.lockExpiresAt': null } },
+        { new: true }
+    );
+    if (!order) {
+        throw httpError(404, 'No lock of yours was found on this order.');
+    }
+    return order;
+};
+
+module.exports = {
+    QUEUE_STATUSES,
+    DEFAULT_QUEUE_SETTINGS,
+    getQueueSettings,
+    getActiveAgents,
+    assignQueueAgent,
+    lockNextOrder,
+    isLockedByOther,
+    assertQueueAccess,
+    applyQueueVisibility,
+    releaseLock,
+    releaseOrderLock
+};
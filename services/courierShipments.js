@@ -0,0 +1,283 @@
+/**
+ * FILE: ./services/courierShipments.js
+ * DESC: Creates, tracks and cancels courier shipments for orders.
+ *
+ * Dispatching an order asks the tenant's courier provider (services/couriers) for a shipment,
+ * then, in one transaction, records the `Shipment`, stores the tracking number in `barcodeId`
+ * and moves the order to 'dispatched'. Tracking updates that reach 'delivered' or 'returned'
+ * move the order through the normal status state machine.
+ */
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { getProvider, resolveCourierAccount, getCredentials } = require('./couriers');
+const { withOrder, updateOrderStatus } = require('./orderActions');
+const { changeOrderStatus, getTenantTransitions, getTenantStatusRoles, assertStatusRole } = require('./orderStatus');
+const { snapshotOrder, recordOrderHistory } = require('./orderHistory');
+const { httpError } = require('./httpError');
+
+// Shipment statuses that settle the order.
+const ORDER_STATUS_BY_SHIPMENT_STATUS = {
+    delivered: 'delivered',
+    returned: 'returned'
+};
+
+/**
+ * A courier account with its credentials as a plain object.
+ * @param {object} account - The account from `Client.config.couriers`.
+ * @returns {object} The normalized account.
+ */
+const normalizeAccount = (account) => ({
+    provider: account.provider,
+    label: account.label,
+    credentials: getCredentials(account)
+});
+
+/**
+ * Loads a shipment of the tenant, or throws a 404.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} shipmentId - The shipment's MongoDB ObjectId.
+ * @returns {Promise<object>} The shipment document.
+ */
+const findTenantShipment = async (tenantObjectId, shipmentId) => {
+    if (!mongoose.isValidObjectId(shipmentId)) {
+        throw httpError(400, `Invalid shipment ID: ${shipmentId}.`);
+    }
+    const shipment = await Shipment.findOne({ _id: shipmentId, tenantId: tenantObjectId });
+    if (!shipment) {
+        throw httpError(404, 'Shipment not found for this client.');
+    }
+    return shipment;
+};
+
+/**
+ * Dispatches an order. With a courier account configured (or a provider requested), a shipment
+ * is created and its tracking number stored in `barcodeId`; otherwise the order is only moved
+ * to 'dispatched', as before, and staff enter the tracking number by hand.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {string} [params.provider] - The provider to use instead of the tenant's default.
+ * @param {string} [params.notes] - New notes for the order.
+ * @param {object} params.user - The staff member dispatching.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const dispatchOrder = async ({ tenant, orderId, provider: providerKey, notes, user, req }) => {
+    const account = resolveCourierAccount(tenant, providerKey);
+    if (!account) {
+        return updateOrderStatus({ tenantId: tenant._id, orderId, status: 'dispatched', notes, user, req });
+    }
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw httpError(400, `Invalid order ID: ${orderId}.`);
+    }
+
+    // Checked before calling the courier, so no parcel is booked for an order that cannot ship.
+    const order = await Order.findOne({ _id: orderId, tenantId: tenant._id }).lean();
+    if (!order) {
+        throw httpError(404, 'Order not found for this client.');
+    }
+    const transitions = await getTenantTransitions(tenant._id);
+    if (!(transitions[order.status] || []).includes('dispatched')) {
+        throw httpError(400, `Cannot change order status from "${order.status}" to "dispatched".`, { allowedStatuses: transitions[order.status] || [] });
+    }
+    const statusRoles = await getTenantStatusRoles(tenant._id);
+    assertStatusRole({ status: 'dispatched', user, statusRoles });
+    if (order.courier?.shipment) {
+        throw httpError(409, 'This order already has an active shipment.');
+    }
+
+    const provider = getProvider(account.provider);
+    const courierAccount = normalizeAccount(account);
+    const created = await provider.createShipment({ order, account: courierAccount, tenant });
+
+    try {
+        return await withOrder(tenant._id, orderId, async (orderDoc, session) => {
+            const before = snapshotOrder(orderDoc);
+            const [shipment] = await Shipment.create([{
+                tenantId: tenant._id,
+                orderId: orderDoc._id,
+                provider: provider.key,
+                trackingNumber: created.trackingNumber,
+                status: created.status || 'created',
+                labelUrl: created.labelUrl || null,
+                events: [{ status: created.status || 'created', description: `Shipment created with ${provider.name}.` }],
+                providerData: created.providerData || {}
+            }], { session });
+
+            await changeOrderStatus({ order: orderDoc, status: 'dispatched', user, transitions, statusRoles, session });
+            if (notes !== undefined) {
+                orderDoc.notes = notes;
+            }
+            orderDoc.barcodeId = created.trackingNumber;
+            orderDoc.courier = { provider: provider.key, shipment: shipment._id };
+            await orderDoc.save({ session });
+            await recordOrderHistory({ order: orderDoc, before, action: 'status_changed', user, req, session });
+        });
+    } catch (error) {
+        // The parcel was booked but the order could not be updated: release it at the courier.
+        try {
+            await provider.cancelShipment({ shipment: { trackingNumber: created.trackingNumber, status: created.status || 'created' }, account: courierAccount });
+        } catch (cancelError) {
+            console.error(`Could not cancel orphaned ${provider.key} shipment ${created.trackingNumber}:`, cancelError);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Whether a shipment may move to a status. Late or out-of-order events never undo a
+ * settled parcel, except a delivered parcel that is later returned.
+ * @param {string} current - The shipment's current status.
+ * @param {string} next - The status from the event.
+ * @returns {boolean}
+ */
+const canMoveShipment = (current, next) => {
+    if (current === 'returned' || current === 'cancelled') {
+        return false;
+    }
+    return current !== 'delivered' || next === 'returned';
+};
+
+/**
+ * Moves an order to 'delivered' or 'returned' when its active shipment settles. Transitions
+ * the tenant's graph does not allow (e.g. a late event for an order already returned) are skipped.
+ * Saves the order and records the history when it changes.
+ * @param {object} params
+ * @param {object} params.order - The order document.
+ * @param {object} params.shipment - The shipment document, with its new status.
+ * @param {Date} [params.occurredAt] - When the courier reported the status; defaults to now.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @param {object} params.session - The MongoDB session.
+ * @returns {Promise<boolean>} True if the order status changed.
+ */
+const settleOrderFromShipment = async ({ order, shipment, occurredAt, req, session }) => {
+    const orderStatus = ORDER_STATUS_BY_SHIPMENT_STATUS[shipment.status];
+    if (!orderStatus || order.status === orderStatus || String(order.courier?.shipment) !== String(shipment._id)) {
+        return false;
+    }
+    const transitions = await getTenantTransitions(order.tenantId, session);
+    if (!(transitions[order.status] || []).includes(orderStatus)) {
+        return false;
+    }
+    const before = snapshotOrder(order);
+    await changeOrderStatus({ order, status: orderStatus, transitions, session });
+    if (occurredAt) {
+        order.statusTimestamps.set(orderStatus, occurredAt);
+    }
+    await order.save({ session });
+    await recordOrderHistory({ order, before, action: 'status_changed', actorType: 'courier', req, session });
+    return true;
+};
+
+/**
+ * Applies a tracking update fetched from the courier to a shipment and, when it settles, to its order.
+ * @param {object} params
+ * @param {object} params.shipment - The shipment document.
+ * @param {object} params.tracking - `{ status, events }` from the provider.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated shipment document.
+ */
+const syncShipmentStatus = async ({ shipment, tracking, req }) => {
+    await withOrder(shipment.tenantId, shipment.orderId, async (order, session) => {
+        const known = new Set(shipment.events.map(event => `${event.status}|${new Date(event.occurredAt).getTime()}`));
+        for (const event of tracking.events || []) {
+            const key = `${event.status}|${new Date(event.occurredAt).getTime()}`;
+            if (!known.has(key)) {
+                shipment.events.push(event);
+                known.add(key);
+            }
+        }
+        shipment.events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+        if (tracking.status && canMoveShipment(shipment.status, tracking.status)) {
+            shipment.status = tracking.status;
+        }
+        await shipment.save({ session });
+
+        await settleOrderFromShipment({ order, shipment, req, session });
+    });
+    return shipment;
+};
+
+/**
+ * Fetches the latest tracking from the courier and applies it.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.shipmentId - The shipment's MongoDB ObjectId.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated shipment document.
+ */
+const refreshTracking = async ({ tenant, shipmentId, req }) => {
+    const shipment = await findTenantShipment(tenant._id, shipmentId);
+    if (shipment.status === 'cancelled') {
+        return shipment;
+    }
+    const provider = getProvider(shipment.provider);
+    const tracking = await provider.getTracking({ shipment, account: normalizeAccount(resolveCourierAccount(tenant, shipment.provider)) });
+    return syncShipmentStatus({ shipment, tracking, req });
+};
+
+/**
+ * Fetches a shipment's label from the courier.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.shipmentId - The shipment's MongoDB ObjectId.
+ * @returns {Promise<object>} `{ contentType, data, filename }`.
+ */
+const getShipmentLabel = async ({ tenant, shipmentId }) => {
+    const shipment = await findTenantShipment(tenant._id, shipmentId);
+    const order = await Order.findById(shipment.orderId).lean();
+    const provider = getProvider(shipment.provider);
+    return provider.getLabel({ shipment, order, account: normalizeAccount(resolveCourierAccount(tenant, shipment.provider)) });
+};
+
+/**
+ * Cancels a shipment at the courier. A dispatched order goes back to 'confirmed' (the parcel
+ * never left, so its stock is still held) and loses its tracking number.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.shipmentId - The shipment's MongoDB ObjectId.
+ * @param {object} params.user - The staff member cancelling.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The cancelled shipment document.
+ */
+const cancelShipment = async ({ tenant, shipmentId, user, req }) => {
+    const shipment = await findTenantShipment(tenant._id, shipmentId);
+    if (shipment.status === 'cancelled') {
+        throw httpError(409, 'This shipment is already cancelled.');
+    }
+    const provider = getProvider(shipment.provider);
+    await provider.cancelShipment({ shipment, account: normalizeAccount(resolveCourierAccount(tenant, shipment.provider)) });
+
+    await withOrder(tenant._id, shipment.orderId, async (order, session) => {
+        shipment.status = 'cancelled';
+        shipment.cancelledAt = new Date();
+        shipment.events.push({ status: 'cancelled', description: 'Shipment cancelled by the store.' });
+        await shipment.save({ session });
+
+        if (String(order.courier?.shipment) === String(shipment._id)) {
+            const before = snapshotOrder(order);
+            if (order.status === 'dispatched') {
+                order.status = 'confirmed';
+                order.statusTimestamps.set('confirmed', new Date());
+            }
+            order.barcodeId = null;
+            order.courier = { provider: null, shipment: null };
+            await order.save({ session });
+            await recordOrderHistory({ order, before, action: 'shipment_cancelled', user, req, session });
+        }
+    });
+    return shipment;
+};
+
+module.exports = {
+    ORDER_STATUS_BY_SHIPMENT_STATUS,
+    findTenantShipment,
+    dispatchOrder,
+    canMoveShipment,
+    settleOrderFromShipment,
+    syncShipmentStatus,
+    refreshTracking,
+    getShipmentLabel,
+    cancelShipment
+};
@@ -0,0 +1,131 @@
+/**
+ * FILE: ./services/courierWebhooks.js
+ * DESC: Inbound delivery status webhooks from couriers.
+ *
+ * Each call is verified with an HMAC-SHA256 of the raw body, keyed with the tenant's
+ * `webhookSecret` for that courier. Events are mapped through the provider's `statusCodes`,
+ * kept raw in `order.trackingEvents`, and settle the order ('delivered', 'returned') through
+ * the normal status state machine. An event id that was already received is ignored, so
+ * couriers can safely retry.
+ */
+const crypto = require('crypto');
+const Shipment = require('../models/Shipment');
+const { getProvider, resolveCourierAccount, getCredentials } = require('./couriers');
+const { withOrder } = require('./orderActions');
+const { canMoveShipment, settleOrderFromShipment } = require('./courierShipments');
+const { httpError } = require('./httpError');
+
+/**
+ * Verifies the webhook signature ("<hex>" or "sha256=<hex>").
+ * @param {object} params
+ * @param {object} params.provider - The courier provider.
+ * @param {object} params.account - The tenant's courier account.
+ * @param {Buffer} params.rawBody - The raw request body.
+ * @param {object} params.headers - The request headers.
+ */
+const verifyWebhookSignature = ({ provider, account, rawBody, headers }) => {
+    const secret = getCredentials(account).webhookSecret;
+    if (!secret) {
+        throw httpError(401, 'No webhook secret is configured for this courier account.');
+    }
+    const received = String(headers[provider.webhookSignatureHeader] || '').replace(/^sha256=/, '');
+    const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+    const receivedBuffer = Buffer.from(received, 'utf8');
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    if (receivedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(receivedBuffer, expectedBuffer)) {
+        throw httpError(401, 'Invalid webhook signature.');
+    }
+};
+
+/**
+ * A stable id for events the courier sent without one.
+ * @param {object} event - The parsed event.
+ * @returns {string} The event id.
+ */
+const deriveEventId = (event) => crypto.createHash('sha256')
+    .update(`${event.trackingNumber}|${event.code}|${event.occurredAt || ''}`)
+    .digest('hex');
+
+/**
+ * Applies one parsed webhook event.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {object} params.provider - The courier provider.
+ * @param {object} params.event - The parsed event.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} `{ eventId, trackingNumber, result }`, where result is
+ * 'applied', 'duplicate', 'unknown_shipment' or 'unmapped_status'.
+ */
+const applyWebhookEvent = async ({ tenant, provider, event, req }) => {
+    const eventId = event.eventId ? String(event.eventId) : deriveEventId(event);
+    const summary = { eventId, trackingNumber: event.trackingNumber };
+
+    const shipment = await Shipment.findOne({ tenantId: tenant._id, provider: provider.key, trackingNumber: event.trackingNumber });
+    if (!shipment) {
+        return { ...summary, result: 'unknown_shipment' };
+    }
+    const status = provider.statusCodes[event.code] || null;
+    const occurredAt = event.occurredAt && !isNaN(new Date(event.occurredAt)) ? new Date(event.occurredAt) : new Date();
+
+    let result = 'applied';
+    await withOrder(tenant._id, shipment.orderId, async (order, session) => {
+        // Read inside the transaction, so concurrent retries of the same event cannot both apply.
+        if (order.trackingEvents.some(tracked => tracked.eventId === eventId)) {
+            result = 'duplicate';
+            return;
+        }
+        order.trackingEvents.push({
+            eventId,
+            provider: provider.key,
+            trackingNumber: event.trackingNumber,
+            code: event.code,
+            status,
+            description: event.description,
+            occurredAt,
+            raw: event.raw
+        });
+        await order.save({ session });
+
+        if (!status) {
+            result = 'unmapped_status';
+            return;
+        }
+        if (canMoveShipment(shipment.status, status)) {
+            shipment.status = status;
+        }
+        shipment.events.push({ status, description: event.description, occurredAt });
+        await shipment.save({ session });
+        await settleOrderFromShipment({ order, shipment, occurredAt, req, session });
+    });
+    return { ...summary, result };
+};
+
+/**
+ * Handles a webhook call for a tenant's courier.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.providerKey - The provider key from the URL.
+ * @param {object} params.req - The Express request (`rawBody`, `headers`, `body`).
+ * @returns {Promise<object>} `{ received, results }`.
+ */
+const handleCourierWebhook = async ({ tenant, providerKey, req }) => {
+    const provider = getProvider(providerKey);
+    if (!provider.parseWebhook) {
+        throw httpError(400, `The ${provider.name} courier does not send webhooks.`);
+    }
+    const account = resolveCourierAccount(tenant, provider.key);
+    verifyWebhookSignature({ provider, account, rawBody: req.rawBody, headers: req.headers });
+
+    const events = provider.parseWebhook(req.body).filter(event => event.trackingNumber && event.code);
+    if (events.length === 0) {
+        throw httpError(400, 'The webhook contains no valid events.');
+    }
+    const results = [];
+    // Sequential, so events for the same order are applied in the order the courier sent them.
+    for (const event of events) {
+        results.push(await applyWebhookEvent({ tenant, provider, event, req }));
+    }
+    return { received: events.length, results };
+};
+
+module.exports = { verifyWebhookSignature, applyWebhookEvent, handleCourierWebhook };
@@ -0,0 +1,75 @@
+/**
+ * FILE: ./services/couriers/index.js
+ * DESC: Registry of courier providers and resolution of a tenant's courier accounts.
+ *
+ * A provider is an object with:
+ * - `key`, `name` and `credentialFields` (the keys expected in `Client.config.couriers[].credentials`);
+ * - `createShipment({ order, account, tenant })` -> `{ trackingNumber, status?, labelUrl?, providerData? }`;
+ * the order's `deliveryType` ('home' or 'stop_desk') and `stopDesk` must be booked as chosen,
+ * since the customer was charged the matching price;
+ * - `getLabel({ shipment, order, account })` -> `{ contentType, data, filename }`;
+ * - `getTracking({ shipment, account })` -> `{ status, events: [{ status, description, occurredAt }] }`;
+ * - `cancelShipment({ shipment, account })`, which throws if the courier refuses.
+ * Providers that push delivery updates also define:
+ * - `webhookSignatureHeader`: the header carrying the HMAC-SHA256 of the raw body, keyed with the
+ * account's `webhookSecret` credential;
+ * - `statusCodes`: the courier's status codes mapped to shipment statuses;
+ * - `parseWebhook(body)` -> `[{ eventId, trackingNumber, code, description, occurredAt, raw }]`.
+ * Statuses are the values of `Shipment.SHIPMENT_STATUSES`. Errors are raised with `httpError`.
+ */
+const mockCourier = require('./mockCourier');
+const { httpError } = require('../httpError');
+
+const PROVIDERS = {
+    [mockCourier.key]: mockCourier
+};
+
+/**
+ * Lists the registered providers.
+ * @returns {Array<object>} `{ key, name, credentialFields }` for each provider.
+ */
+const listProviders = () => Object.values(PROVIDERS).map(({ key, name, credentialFields }) => ({ key, name, credentialFields }));
+
+/**
+ * Returns a registered provider.
+ * @param {string} key - The provider key.
+ * @returns {object} The provider.
+ */
+const getProvider = (key) => {
+    const provider = PROVIDERS[key];
+    if (!provider) {
+        throw httpError(400, `Unknown courier provider: ${key}. Available: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return provider;
+};
+
+/**
+ * Finds the tenant's courier account to use: the one for the requested provider,
+ * otherwise the default (or only) enabled account.
+ * @param {object} tenant - The tenant (Client) document.
+ * @param {string} [providerKey] - The requested provider.
+ * @returns {object|null} The account (`provider`, `label`, `credentials`), or null if none is configured.
+ */
+const resolveCourierAccount = (tenant, providerKey) => {
+    const accounts = (tenant.config?.couriers || []).filter(account => account.enabled !== false);
+    if (providerKey) {
+        const account = accounts.find(candidate => candidate.provider === providerKey);
+        if (!account) {
+            throw httpError(400, `No enabled ${providerKey} courier account is configured for this store.`);
+        }
+        return account;
+    }
+    return accounts.find(account => account.isDefault) || (accounts.length === 1 ? accounts[0] : null);
+};
+
+/**
+ * Plain credentials object of an account (Maps come back as objects from lean queries).
+ * @param {object} account - The courier account.
+ * @returns {object} The credentials.
+ */
+const getCredentials = (account) => {
+    const credentials = account?.credentials || {};
+    return credentials instanceof Map ? Object.fromEntries(credentials) : credentials;
+};
+
+module.exports = { PROVIDERS, listProviders, getProvider, resolveCourierAccount, getCredentials };
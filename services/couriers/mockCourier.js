@@ -0,0 +1,109 @@
+/**
+ * FILE: ./services/couriers/mockCourier.js
+ * DESC: A local courier provider for development and testing. It talks to no external API.
+ *
+ * Credentials (all optional):
+ * - `autoAdvanceMinutes`: tracking moves one step (picked up, in transit, out for delivery,
+ * delivered) every N minutes after creation; without it, tracking stays where it is.
+ * - `failCreate`: "true" makes shipment creation fail, to test error handling.
+ * - `webhookSecret`: the secret signing webhook calls (`x-mock-signature: sha256=<hex>`).
+ *
+ * Webhook body: `{ events: [{ id, tracking, status, description, timestamp }] }`, with `status`
+ * one of the keys of `statusCodes`. A single event object is accepted too.
+ */
+const crypto = require('crypto');
+const { httpError } = require('../httpError');
+
+// Statuses the simulated parcel goes through, in order.
+const SIMULATED_FLOW = ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+const CANCELLABLE_STATUSES = ['created', 'picked_up'];
+
+const mockCourier = {
+    key: 'mock',
+    name: 'Mock courier (testing)',
+    credentialFields: ['autoAdvanceMinutes', 'failCreate', 'webhookSecret'],
+    webhookSignatureHeader: 'x-mock-signature',
+    statusCodes: {
+        CREATED: 'created',
+        PICKED_UP: 'picked_up',
+        IN_TRANSIT: 'in_transit',
+        OUT_FOR_DELIVERY: 'out_for_delivery',
+        DELIVERED: 'delivered',
+        RETURNED: 'returned',
+        CANCELLED: 'cancelled',
+        FAILED: 'failed'
+    },
+
+    async createShipment({ order, account }) {
+        if (account.credentials.failCreate === 'true') {
+            throw httpError(502, 'The mock courier rejected the shipment (failCreate is enabled).');
+        }
+        const trackingNumber = `MCK${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+        return {
+            trackingNumber,
+            status: 'created',
+            providerData: {
+                reference: order.orderNumber || String(order._id),
+                codAmount: order.totalPrice,
+                deliveryType: order.deliveryType || 'home',
+                stopDesk: order.deliveryType === 'stop_desk' ? order.stopDesk : null
+            }
+        };
+    },
+
+    async getLabel({ shipment, order }) {
+        const lines = [
+            'MOCK COURIER',
+            `Tracking: ${shipment.trackingNumber}`,
+            `Order: ${order.orderNumber || order._id}`,
+            `To: ${order.fullName} (${order.phoneNumber})`,
+            order.deliveryType === 'stop_desk'
+                ? `Stop desk: ${[order.stopDesk?.name, order.stopDesk?.address].filter(Boolean).join(', ') || 'any office'}, ${order.commune}, ${order.wilaya}`
+                : `${order.address || ''}, ${order.commune}, ${order.wilaya}`,
+            `Cash on delivery: ${order.totalPrice} DA`
+        ];
+        return {
+            contentType: 'text/plain; charset=utf-8',
+            data: Buffer.from(`${lines.join('\n')}\n`),
+            filename: `label-${shipment.trackingNumber}.txt`
+        };
+    },
+
+    async getTracking({ shipment, account }) {
+        const stepMinutes = Number(account.credentials.autoAdvanceMinutes);
+        if (!stepMinutes || !SIMULATED_FLOW.includes(shipment.status)) {
+            return { status: shipment.status, events: [] };
+        }
+        const createdAt = new Date(shipment.createdAt).getTime();
+        const steps = Math.floor((Date.now() - createdAt) / (stepMinutes * 60 * 1000));
+        const reached = SIMULATED_FLOW.slice(0, Math.min(steps, SIMULATED_FLOW.length - 1) + 1);
+        return {
+            status: reached[reached.length - 1],
+            events: reached.map((status, index) => ({
+                status,
+                description: `Mock courier: ${status.replace(/_/g, ' ')}`,
+                occurredAt: new Date(createdAt + index * stepMinutes * 60 * 1000)
+            }))
+        };
+    },
+
+    parseWebhook(body) {
+        const events = Array.isArray(body?.events) ? body.events : [body];
+        return events.map(event => ({
+            eventId: event?.id,
+            trackingNumber: event?.tracking,
+            code: String(event?.status || '').toUpperCase(),
+            description: event?.description || '',
+            occurredAt: event?.timestamp,
+            raw: event
+        }));
+    },
+
+    async cancelShipment({ shipment }) {
+        if (!CANCELLABLE_STATUSES.includes(shipment.status)) {
+            throw httpError(409, `The mock courier cannot cancel a shipment that is ${shipment.status}.`);
+        }
+    }
+};
+
+module.exports = mockCourier;
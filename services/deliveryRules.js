@@ -0,0 +1,76 @@
+/**
+ * FILE: ./services/deliveryRules.js
+ * DESC: Delivery fee rules applied on top of the per-wilaya `SiteConfig.deliveryFees`.
+ *
+ * The fee of a cart is computed in this order:
+ * 1. Base fee: the customer's commune override (`deliveryFees[].communeOverrides`) for the
+ *    chosen delivery type if one is set, otherwise the wilaya's price for that type.
+ * 2. Quantity fee: of `deliveryRules.quantityFees`, the tier with the highest `minItems` the
+ *    cart reaches is added once.
+ * 3. Product surcharges: each product's `shippingSurcharge` is added per unit ordered.
+ * 4. Free shipping: a cart whose subtotal (before promo discounts) reaches
+ *    `deliveryRules.freeShippingThreshold` ships for free, whatever steps 1-3 gave.
+ * Only the delivery type's availability is decided by the wilaya (see `resolveDeliveryOption`).
+ */
+
+/**
+ * Finds the override of a commune's fee for a delivery type.
+ * @param {object} fee - The wilaya's entry in `SiteConfig.deliveryFees`.
+ * @param {number} [communeCode] - The customer's commune code.
+ * @param {string} deliveryType - 'home' or 'stop_desk'.
+ * @returns {number|null} The overriding price, or null if the commune has none for this type.
+ */
+const findCommuneOverride = (fee, communeCode, deliveryType) => {
+    if (!communeCode) {
+        return null;
+    }
+    const override = (fee.communeOverrides || []).find(candidate => candidate.communeCode === Number(communeCode));
+    const price = override && (deliveryType === 'stop_desk' ? override.stopDeskPrice : override.price);
+    return price === null || price === undefined ? null : price;
+};
+
+/**
+ * The quantity fee for a number of items.
+ * @param {Array<object>} tiers - `deliveryRules.quantityFees` (`{ minItems, fee }`).
+ * @param {number} itemCount - The number of units in the cart.
+ * @returns {number} The fee of the highest tier reached, or 0.
+ */
+const getQuantityFee = (tiers, itemCount) => (tiers || [])
+    .filter(tier => itemCount >= tier.minItems)
+    .reduce((best, tier) => (!best || tier.minItems > best.minItems ? tier : best), null)?.fee || 0;
+
+/**
+ * Computes the delivery fee of a cart.
+ * @param {object} params
+ * @param {object} params.fee - The wilaya's entry in `SiteConfig.deliveryFees`.
+ * @param {object} params.delivery - The result of `resolveDeliveryOption` (`deliveryType`, `shipping`).
+ * @param {number} [params.communeCode] - The customer's commune code.
+ * @param {Array<object>} params.lines - Cart lines with `quantity` and `product`.
+ * @param {number} params.subtotal - The cart subtotal, before discounts.
+ * @param {object} [params.rules] - The tenant's `SiteConfig.deliveryRules`.
+ * @returns {object} `{ shipping, breakdown: { base, baseSource, quantityFee, surcharges, freeShipping } }`,
+ * where baseSource is 'commune' or 'wilaya'.
+ */
+const computeShipping = ({ fee, delivery, communeCode, lines, subtotal, rules = {} }) => {
+    const override = findCommuneOverride(fee, communeCode, delivery.deliveryType);
+    const base = override !== null ? override : delivery.shipping;
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const quantityFee = getQuantityFee(rules.quantityFees, itemCount);
+    const surcharges = lines.reduce((sum, line) => sum + (line.product?.shippingSurcharge || 0) * line.quantity, 0);
+
+    const threshold = rules.freeShippingThreshold;
+    const freeShipping = threshold !== null && threshold !== undefined && subtotal >= threshold;
+
+    return {
+        shipping: freeShipping ? 0 : Math.round((base + quantityFee + surcharges) * 100) / 100,
+        breakdown: {
+            base,
+            baseSource: override !== null ? 'commune' : 'wilaya',
+            quantityFee,
+            surcharges,
+            freeShipping
+        }
+    };
+};
+
+module.exports = { findCommuneOverride, getQuantityFee, computeShipping };
@@ -0,0 +1,184 @@
+/**
+ * FILE: ./services/geo.js
+ * DESC: Reference data for Algeria's 58 wilayas and 1541 communes (data/algeriaGeo.json).
+ *
+ * The dataset is built from @dzcode-io/leblad (ONS commune codes, French and Arabic names),
+ * with the communes of the ten wilayas created in 2019 moved to them. Commune codes keep their
+ * ONS value, so a commune of Timimoun (49) still has a 1xx code.
+ *
+ * Customers type wilayas and communes as codes ("16", "16 - Alger"), French, English or Arabic
+ * names, with or without accents. Orders and abandoned carts store the canonical French name
+ * along with `wilayaCode` and `communeCode`.
+ */
+const GEO_DATA = require('../data/algeriaGeo.json');
+const { httpError } = require('./httpError');
+
+/**
+ * Normalizes a place name for comparison, in Latin or Arabic script
+ * ("Aïn-Témouchent" -> "ain temouchent", "أدرار" -> "ادرار").
+ * @param {string} value - The raw name.
+ * @returns {string} The normalized name.
+ */
+const normalizePlaceName = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const wilayasByCode = new Map();
+const wilayasByName = new Map();
+const communesByCode = new Map();
+const communesByWilaya = new Map();
+
+for (const wilaya of GEO_DATA) {
+    wilayasByCode.set(wilaya.code, wilaya);
+    for (const name of [wilaya.name, wilaya.name_ar, ...(wilaya.aliases || [])]) {
+        wilayasByName.set(normalizePlaceName(name), wilaya);
+    }
+    const byName = new Map();
+    for (const commune of wilaya.communes) {
+        communesByCode.set(commune.code, { ...commune, wilayaCode: wilaya.code });
+        byName.set(normalizePlaceName(commune.name), commune);
+        byName.set(normalizePlaceName(commune.name_ar), commune);
+    }
+    communesByWilaya.set(wilaya.code, byName);
+}
+
+/**
+ * A leading numeric code of a value ("16", "16 - Alger", 16), if any.
+ * @param {string|number} value - The raw value.
+ * @returns {number|null} The code.
+ */
+const parseCode = (value) => {
+    const match = String(value ?? '').trim().match(/^(\d+)/);
+    return match ? Number(match[1]) : null;
+};
+
+/**
+ * Levenshtein distance between two strings, for commune suggestions.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Lists the wilayas.
+ * @returns {Array<object>} `{ code, name, name_ar, communeCount }` for each wilaya.
+ */
+const listWilayas = () => GEO_DATA.map(({ code, name, name_ar, communes }) => ({ code, name, name_ar, communeCount: communes.length }));
+
+/**
+ * Finds a wilaya by code or name.
+ * @param {string|number} value - The wilaya as provided ("16", "16 - Alger", "Algiers", "الجزائر").
+ * @returns {object|null} The wilaya (`code`, `name`, `name_ar`, `communes`), or null.
+ */
+const findWilaya = (value) => {
+    const code = parseCode(value);
+    if (code !== null) {
+        return wilayasByCode.get(code) || null;
+    }
+    return wilayasByName.get(normalizePlaceName(value)) || null;
+};
+
+/**
+ * Finds a commune of a wilaya by code or name.
+ * @param {object} wilaya - The wilaya, from `findWilaya`.
+ * @param {string|number} value - The commune as provided.
+ * @returns {object|null} The commune (`code`, `name`, `name_ar`), or null.
+ */
+const findCommune = (wilaya, value) => {
+    const code = parseCode(value);
+    if (code !== null) {
+        const commune = communesByCode.get(code);
+        return commune && commune.wilayaCode === wilaya.code ? wilaya.communes.find(candidate => candidate.code === code) : null;
+    }
+    return communesByWilaya.get(wilaya.code).get(normalizePlaceName(value)) || null;
+};
+
+/**
+ * The communes of a wilaya closest in spelling to a value.
+ * @param {object} wilaya - The wilaya, from `findWilaya`.
+ * @param {string} value - The misspelled commune.
+ * @param {number} [limit] - The maximum number of suggestions.
+ * @returns {Array<string>} Commune names, closest first.
+ */
+const suggestCommunes = (wilaya, value, limit = 3) => {
+    const name = normalizePlaceName(value);
+    if (!name) {
+        return [];
+    }
+    return wilaya.communes
+        .map(commune => ({ name: commune.name, distance: editDistance(name, normalizePlaceName(commune.name)) }))
+        .filter(candidate => candidate.distance <= Math.max(2, Math.floor(name.length / 3)))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(candidate => candidate.name);
+};
+
+/**
+ * Validates a wilaya and commune and returns their canonical form.
+ * @param {object} params
+ * @param {string|number} params.wilaya - The wilaya as provided.
+ * @param {string|number} params.commune - The commune as provided.
+ * @returns {object} `{ wilaya, wilayaCode, commune, communeCode }`, with the French names.
+ */
+const resolveLocation = ({ wilaya, commune }) => {
+    const foundWilaya = findWilaya(wilaya);
+    if (!foundWilaya) {
+        throw httpError(400, `Unknown wilaya: ${wilaya}.`);
+    }
+    const foundCommune = findCommune(foundWilaya, commune);
+    if (!foundCommune) {
+        throw httpError(400, `Unknown commune "${commune}" in wilaya ${foundWilaya.name}.`, {
+            suggestions: suggestCommunes(foundWilaya, commune)
+        });
+    }
+    return {
+        wilaya: foundWilaya.name,
+        wilayaCode: foundWilaya.code,
+        commune: foundCommune.name,
+        communeCode: foundCommune.code
+    };
+};
+
+/**
+ * Best-effort version of `resolveLocation` for partial data (abandoned carts): values that
+ * cannot be matched are kept as provided, with a null code.
+ * @param {object} params
+ * @param {string|number} [params.wilaya] - The wilaya as provided.
+ * @param {string|number} [params.commune] - The commune as provided.
+ * @returns {object} `{ wilaya, wilayaCode, commune, communeCode }`.
+ */
+const matchLocation = ({ wilaya, commune }) => {
+    const foundWilaya = wilaya ? findWilaya(wilaya) : null;
+    const foundCommune = foundWilaya && commune ? findCommune(foundWilaya, commune) : null;
+    return {
+        wilaya: foundWilaya ? foundWilaya.name : wilaya,
+        wilayaCode: foundWilaya ? foundWilaya.code : null,
+        commune: foundCommune ? foundCommune.name : commune,
+        communeCode: foundCommune ? foundCommune.code : null
+    };
+};
+
+module.exports = {
+    normalizePlaceName,
+    listWilayas,
+    findWilaya,
+    findCommune,
+    suggestCommunes,
+    resolveLocation,
+    matchLocation
+};
@@ -0,0 +1,25 @@
+/**
+ * FILE: ./services/httpError.js
+ * DESC: Small helper for raising errors that carry an HTTP status code.
+ *
+ * The `statusCode` property is honoured by the route handlers and by the
+ * global error handler in server.js.
+ */
+
+/**
+ * Creates an Error with an attached HTTP status code.
+ * @param {number} statusCode - The HTTP status to respond with.
+ * @param {string} message - The client-facing error message.
+ * @param {object} [details] - Optional extra data to include in the response body.
+ * @returns {Error} The error object.
+ */
+const httpError = (statusCode, message, details) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,334 @@
+/**
+ * FILE: ./services/inventory.js
+ * DESC: Stock deduction, restoration and adjustment.
+ *
+ * A product (or SKU) has an on-hand `quantity` and a `reserved` quantity held by unconfirmed
+ * orders; what can still be sold is their difference (`getAvailable` in services/productSkus.js). All updates are atomic
+ * `$inc` operations scoped to the tenant, so concurrent orders cannot oversell a product.
+ * Pass a session to run inside a transaction. Lines with a `skuId` move the SKU's stock and
+ * the product total together. Every change of the on-hand quantity is written to the stock
+ * ledger (services/stockLedger.js); reservations are not, as they do not move goods.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { getAvailable } = require('./productSkus');
+const { recordStockMovement } = require('./stockLedger');
+const { checkLowStockCrossing } = require('./stockAlerts');
+const { httpError } = require('./httpError');
+
+// Movement types that can be recorded by hand with `adjustStock`.
+const ADJUSTMENT_TYPES = ['manual_adjustment', 'stocktake', 'return', 'receiving'];
+
+/**
+ * Adds the available-to-sell quantity to a product and its SKUs, next to their on-hand `quantity`.
+ * @param {object} product - The product (lean).
+ * @returns {object} A copy of the product with `available` set.
+ */
+const withAvailability = (product) => ({
+    ...product,
+    reserved: product.reserved || 0,
+    available: getAvailable(product),
+    skus: (product.skus || []).map(sku => ({ ...sku, reserved: sku.reserved || 0, available: getAvailable(sku) }))
+});
+
+/**
+ * Atomically changes the on-hand and reserved stock of a product (or SKU). The change only applies
+ * if neither goes below zero and, when it lowers the available stock, enough is available.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.productId - The product's MongoDB ObjectId.
+ * @param {string} [params.skuId] - The SKU, for products with SKUs.
+ * @param {number} [params.quantity] - The signed change of the on-hand quantity.
+ * @param {number} [params.reserved] - The signed change of the reserved quantity.
+ * @param {number} [params.expected] - Only apply if the on-hand quantity is still this value (no other checks).
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object|null>} `{ quantity, reserved }` after the change, or null if nothing matched
+ * (short stock, unknown SKU).
+ */
+const applyStockChange = async ({ tenantId, productId, skuId, quantity = 0, reserved = 0, expected, session }) => {
+    const skuObjectId = skuId ? new mongoose.Types.ObjectId(String(skuId)) : null;
+    // `$expr` is not cast by Mongoose: read the SKU's fields out of the array by hand.
+    const field = (name) => (skuObjectId
+        ? {
+            $let: {
+                vars: { sku: { $arrayElemAt: [{ $filter: { input: '$skus', cond: { $eq: ['$$this._id', skuObjectId] } } }, 0] } },
+                in: { $ifNull: [`$$sku.${name}`, 0] }
+            }
+        }
+        : { $ifNull: [`$${name}`, 0] });
+
+    const conditions = [];
+    if (expected !== undefined) {
+        conditions.push({ $eq: [field('quantity'), expected] });
+    } else {
+        if (quantity < 0) {
+            conditions.push({ $gte: [field('quantity'), -quantity] });
+        }
+        if (reserved < 0) {
+            conditions.push({ $gte: [field('reserved'), -reserved] });
+        }
+        if (quantity - reserved < 0) {
+            conditions.push({ $gte: [{ $subtract: [field('quantity'), field('reserved')] }, reserved - quantity] });
+        }
+    }
+
+    const increments = {};
+    if (quantity) {
+        increments.quantity = quantity;
+    }
+    if (reserved) {
+        increments.reserved = reserved;
+    }
+    if (skuObjectId) {
+        Object.keys(increments).forEach(name => {
+            increments[`skus.$[sku].${name}`] = increments[name];
+        });
+    }
+
+    const product = await Product.findOneAndUpdate(
+        {
+            _id: productId,
+            tenantId,
+            ...(skuObjectId ? { 'skus._id': skuObjectId } : {}),
+            ...(conditions.length > 0 ? { $expr: { $and: conditions } } : {})
+        },
+        { $inc: increments },
+        {
+            new: true,
+            session,
+            projection: { quantity: 1, reserved: 1, skus: 1 },
+            ...(skuObjectId ? { arrayFilters: [{ 'sku._id': skuObjectId }] } : {})
+        }
+    ).lean();
+    if (!product) {
+        return null;
+    }
+    const record = skuObjectId ? product.skus.find(sku => String(sku._id) === String(skuObjectId)) : product;
+    if (quantity - reserved < 0) {
+        await checkLowStockCrossing({ tenantId, productId, skuId: skuObjectId, change: quantity - reserved, session });
+    }
+    return { quantity: record.quantity, reserved: record.reserved || 0 };
+};
+
+/**
+ * The 409 thrown when an order line cannot be covered by the available stock.
+ * @param {object} line - The order line.
+ * @returns {Error}
+ */
+const insufficientStockError = (line) => {
+    const variant = [line.color, line.size].filter(Boolean).join('/');
+    return httpError(409, `Insufficient stock for product: ${line.name || line.productId}${line.skuId && variant ? ` (${variant})` : ''}.`);
+};
+
+/**
+ * Deducts stock for every order line from the available stock. Throws a 409 if any product or SKU is short.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} lines - Order lines with `productId`, `skuId`, `name` and `quantity`.
+ * @param {object} [session] - Optional MongoDB session.
+ * @param {object} [movement] - Ledger details: `{ type, reference, user, note }` (type defaults to 'sale').
+ */
+const deductStock = async (tenantObjectId, lines, session, movement = {}) => {
+    for (const line of lines) {
+        const stock = await applyStockChange({
+            tenantId: tenantObjectId, productId: line.productId, skuId: line.skuId, quantity: -line.quantity, session
+        });
+        if (!stock) {
+            throw insufficientStockError(line);
+        }
+        await recordStockMovement({
+            tenantId: tenantObjectId,
+            productId: line.productId,
+            skuId: line.skuId || null,
+            type: movement.type || 'sale',
+            quantity: -line.quantity,
+            balance: stock.quantity,
+            reference: movement.reference,
+            user: movement.user,
+            note: movement.note,
+            session
+        });
+    }
+};
+
+/**
+ * Returns the stock of every order line to inventory. A line whose SKU was deleted since
+ * goes back to the product total.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} lines - Order lines with `productId`, `skuId` and `quantity`.
+ * @param {object} [session] - Optional MongoDB session.
+ * @param {object} [movement] - Ledger details: `{ type, reference, user, note }` (type defaults to 'cancellation_restore').
+ */
+const restoreStock = async (tenantObjectId, lines, session, movement = {}) => {
+    for (const line of lines) {
+        let skuId = line.skuId || null;
+        let stock = skuId
+            ? await applyStockChange({ tenantId: tenantObjectId, productId: line.productId, skuId, quantity: line.quantity, session })
+            : null;
+        if (!stock) {
+            skuId = null;
+            stock = await applyStockChange({ tenantId: tenantObjectId, productId: line.productId, quantity: line.quantity, session });
+        }
+        if (!stock) {
+            continue; // The product was deleted.
+        }
+        await recordStockMovement({
+            tenantId: tenantObjectId,
+            productId: line.productId,
+            skuId,
+            type: movement.type || 'cancellation_restore',
+            quantity: line.quantity,
+            balance: stock.quantity,
+            reference: movement.reference,
+            user: movement.user,
+            note: movement.note,
+            session
+        });
+    }
+};
+
+/**
+ * Reserves the available stock of every order line, leaving the on-hand quantity untouched.
+ * Throws a 409 if any product or SKU is short.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} lines - Order lines with `productId`, `skuId`, `name` and `quantity`.
+ * @param {object} [session] - Optional MongoDB session.
+ */
+const reserveStock = async (tenantObjectId, lines, session) => {
+    for (const line of lines) {
+        const stock = await applyStockChange({
+            tenantId: tenantObjectId, productId: line.productId, skuId: line.skuId, reserved: line.quantity, session
+        });
+        if (!stock) {
+            throw insufficientStockError(line);
+        }
+    }
+};
+
+/**
+ * Releases the reservations of every order line. Reservations of deleted products or SKUs
+ * are gone with them and are skipped.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} lines - Order lines with `productId`, `skuId` and `quantity`.
+ * @param {object} [session] - Optional MongoDB session.
+ */
+const releaseReservation = async (tenantObjectId, lines, session) => {
+    for (const line of lines) {
+        await applyStockChange({
+            tenantId: tenantObjectId, productId: line.productId, skuId: line.skuId, reserved: -line.quantity, session
+        });
+    }
+};
+
+/**
+ * Turns the reservations of every order line into deductions of the on-hand stock. A line whose
+ * reservation was lost (e.g. its SKU was recreated) is deducted from the available stock instead.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} lines - Order lines with `productId`, `skuId`, `name` and `quantity`.
+ * @param {object} [session] - Optional MongoDB session.
+ * @param {object} [movement] - Ledger details: `{ reference, user, note }`.
+ */
+const commitReservation = async (tenantObjectId, lines, session, movement = {}) => {
+    for (const line of lines) {
+        const stock = await applyStockChange({
+            tenantId: tenantObjectId, productId: line.productId, skuId: line.skuId,
+            quantity: -line.quantity, reserved: -line.quantity, session
+        });
+        if (!stock) {
+            await deductStock(tenantObjectId, [line], session, movement);
+            continue;
+        }
+        await recordStockMovement({
+            tenantId: tenantObjectId,
+            productId: line.productId,
+            skuId: line.skuId || null,
+            type: 'sale',
+            quantity: -line.quantity,
+            balance: stock.quantity,
+            reference: movement.reference,
+            user: movement.user,
+            note: movement.note,
+            session
+        });
+    }
+};
+
+/**
+ * Records a manual stock change: a signed `quantity`, or for stock-takes the `countedQuantity`.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.productId - The product's MongoDB ObjectId.
+ * @param {string} [params.skuId] - The SKU; required for products with SKUs.
+ * @param {string} params.type - One of `ADJUSTMENT_TYPES`.
+ * @param {number} [params.quantity] - The signed quantity to add.
+ * @param {number} [params.countedQuantity] - The physically counted quantity ('stocktake').
+ * @param {object} [params.reference] - `{ kind, id, label }` of the document that caused it.
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {string} [params.note] - A free-text note.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} The ledger entry, or null for a stock-take that found no difference.
+ */
+const adjustStock = async ({ tenantId, productId, skuId, type, quantity, countedQuantity, reference, user, note, session }) => {
+    if (!ADJUSTMENT_TYPES.includes(type)) {
+        throw httpError(400, `Invalid adjustment type. Allowed: ${ADJUSTMENT_TYPES.join(', ')}.`);
+    }
+    if (!mongoose.isValidObjectId(productId) || (skuId && !mongoose.isValidObjectId(skuId))) {
+        throw httpError(400, 'Invalid product or SKU ID.');
+    }
+    const product = await Product.findOne({ _id: productId, tenantId }).session(session || null).lean();
+    if (!product) {
+        throw httpError(404, 'Product not found for this client.');
+    }
+    const hasSkus = product.skus && product.skus.length > 0;
+    if (hasSkus && !skuId) {
+        throw httpError(400, 'This product has SKUs: choose the SKU to adjust.');
+    }
+    const sku = hasSkus ? product.skus.find(candidate => String(candidate._id) === String(skuId)) : null;
+    if (hasSkus && !sku) {
+        throw httpError(404, 'SKU not found for this product.');
+    }
+    const current = sku ? sku.quantity : product.quantity;
+    const available = getAvailable(sku || product);
+
+    let delta;
+    if (type === 'stocktake') {
+        if (!Number.isInteger(Number(countedQuantity)) || Number(countedQuantity) < 0) {
+            throw httpError(400, 'countedQuantity must be a non-negative integer.');
+        }
+        delta = Number(countedQuantity) - current;
+        if (delta === 0) {
+            return null;
+        }
+    } else {
+        delta = Number(quantity);
+        if (!Number.isInteger(delta) || delta === 0) {
+            throw httpError(400, 'quantity must be a non-zero integer.');
+        }
+    }
+
+    // A stock-take applies to the quantity it was computed from, so a concurrent sale is not overwritten.
+    // Other removals cannot take units that are reserved by orders.
+    const stock = await applyStockChange({
+        tenantId, productId, skuId: sku ? sku._id : null, quantity: delta,
+        expected: type === 'stocktake' ? current : undefined, session
+    });
+    if (!stock) {
+        throw type === 'stocktake'
+            ? httpError(409, 'The stock changed while the count was being saved. Please try again.')
+            : httpError(409, `Cannot remove ${-delta} units: only ${available} available (${current} in stock).`);
+    }
+    return recordStockMovement({
+        tenantId, productId, skuId: sku ? sku._id : null, type, quantity: delta, balance: stock.quantity, reference, user, note, session
+    });
+};
+
+module.exports = {
+    ADJUSTMENT_TYPES,
+    withAvailability,
+    applyStockChange,
+    deductStock,
+    restoreStock,
+    reserveStock,
+    releaseReservation,
+    commitReservation,
+    adjustStock
+};
@@ -0,0 +1,32 @@
+/**
+ * FILE: ./services/mailer.js
+ * DESC: The platform's outgoing mail transport (SMTP settings from the EMAIL_* environment variables).
+ */
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT || 587,
+    secure: process.env.EMAIL_PORT == 465,
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+    },
+});
+
+/**
+ * Sends an email from the platform address.
+ * @param {object} params
+ * @param {string|Array<string>} params.to - The recipients.
+ * @param {string} params.subject - The subject.
+ * @param {string} params.html - The HTML body.
+ * @returns {Promise<object>} Nodemailer's delivery info.
+ */
+const sendPlatformEmail = ({ to, subject, html }) => transporter.sendMail({
+    from: `"Sheeka Platform" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html
+});
+
+module.exports = { transporter, sendPlatformEmail };
@@ -0,0 +1,323 @@
+/**
+ * FILE: ./services/orderActions.js
+ * DESC: Single-order mutations shared by the per-order routes and `POST /orders/bulk`.
+ *
+ * Each action runs in its own transaction, applies the status state machine and
+ * stock rules, and writes an `OrderHistory` entry.
+ */
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { changeOrderStatus, releaseOrderStock, replaceOrderLines } = require('./orderStatus');
+const { priceOrder, priceOrderDelivery, applyOrderPricing } = require('./orderPricing');
+const { snapshotOrder, recordOrderHistory } = require('./orderHistory');
+const { assertQueueAccess, getQueueSettings, releaseLock } = require('./confirmationQueue');
+const { reportDeliveryOutcome, phoneVariants } = require('./phoneReputation');
+const { resolveLocation } = require('./geo');
+const { httpError } = require('./httpError');
+
+// Order fields staff can edit directly. Lines, delivery and promo code go through `repriceOrder`;
+// everything else (pricing, stock, queue, courier...) is managed by the server.
+const EDITABLE_FIELDS = ['fullName', 'phoneNumber', 'address', 'wilaya', 'commune', 'notes', 'assignedTo', 'tags', 'barcodeId'];
+
+// Statuses in which an order's lines and delivery can still change (before it is handed to a courier).
+const REPRICEABLE_STATUSES = ['pending', 'tentative', 'confirmed'];
+
+/**
+ * Loads an order of the tenant inside a session, or throws a 404.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} orderId - The order's MongoDB ObjectId.
+ * @param {object} session - The MongoDB session.
+ * @returns {Promise<object>} The order document.
+ */
+const findTenantOrder = async (tenantObjectId, orderId, session) => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        throw httpError(400, `Invalid order ID: ${orderId}.`);
+    }
+    const order = await Order.findOne({ _id: orderId, tenantId: tenantObjectId }).session(session);
+    if (!order) {
+        throw httpError(404, 'Order not found for this client.');
+    }
+    return order;
+};
+
+/**
+ * Runs a mutation on one order inside its own transaction.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} orderId - The order's MongoDB ObjectId.
+ * @param {Function} mutate - `async (order, session) => void`.
+ * @returns {Promise<object>} The order document after the mutation.
+ */
+const withOrder = async (tenantObjectId, orderId, mutate) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            const order = await findTenantOrder(tenantObjectId, orderId, session);
+            await mutate(order, session);
+            result = order;
+        });
+        return result;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Changes an order's status (and optionally its notes) through the state machine.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {string} [params.status] - The requested status.
+ * @param {string} [params.notes] - New notes for the order.
+ * @param {object} params.user - The staff member making the change.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const updateOrderStatus = ({ tenantId, orderId, status, notes, user, req }) =>
+    withOrder(tenantId, orderId, async (order, session) => {
+        assertQueueAccess(order, user);
+        const before = snapshotOrder(order);
+        if (notes !== undefined) {
+            order.notes = notes;
+        }
+        if (status) {
+            await changeOrderStatus({ order, status, user, session });
+        }
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: status ? 'status_changed' : 'updated', user, req, session });
+    });
+
+/**
+ * Reprices an order after its lines or delivery changed, and moves the stock it holds onto its
+ * new lines. New lines are priced from the catalogue, as at checkout; otherwise the lines keep
+ * the prices they were bought at and only the delivery and discount are recomputed.
+ * The caller is responsible for saving.
+ * @param {object} params
+ * @param {object} params.order - The order document, with its new wilaya and commune.
+ * @param {Array<object>} [params.items] - New lines (`{ productId, skuId, quantity, color, size }`).
+ * @param {string} [params.deliveryType] - The new delivery type.
+ * @param {string} [params.stopDeskId] - The new stop desk.
+ * @param {string|null} [params.promoCode] - A new promo code ('' or null removes it).
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const repriceOrder = async ({ order, items, deliveryType, stopDeskId, promoCode, user, session }) => {
+    if (!REPRICEABLE_STATUSES.includes(order.status)) {
+        throw httpError(400, `The lines and delivery of a ${order.status} order can no longer be changed.`);
+    }
+    if (!items) {
+        applyOrderPricing(order, await priceOrderDelivery({ order, deliveryType, stopDeskId, promoCode, session }));
+        return;
+    }
+    const quote = await priceOrder({
+        tenantId: order.tenantId,
+        items,
+        wilaya: order.wilayaCode ?? order.wilaya,
+        communeCode: order.communeCode,
+        deliveryType: deliveryType ?? order.deliveryType,
+        stopDeskId: stopDeskId ?? order.stopDesk?.id,
+        promoCode: promoCode !== undefined ? promoCode : order.pricing?.promoCode,
+        session
+    });
+    await replaceOrderLines({ order, lines: quote.lines, user, session });
+    applyOrderPricing(order, quote);
+};
+
+/**
+ * Updates the editable fields of an order (`EDITABLE_FIELDS`); any other field is rejected.
+ * A `status` in the update goes through the state machine, except 'dispatched', which must go
+ * through `PATCH /orders/:orderId/status` so a courier shipment is booked. A new wilaya or commune is validated
+ * against the reference data (services/geo.js), which also sets their codes. Changing the lines
+ * (`products`), the delivery (`deliveryType`, `stopDeskId`, wilaya or commune) or the `promoCode`
+ * reprices the order and keeps its stock in sync (see `repriceOrder`).
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {object} params.update - The fields to update.
+ * @param {object} params.user - The staff member making the change.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const updateOrderFields = async ({ tenantId, orderId, update, user, req }) => {
+    const { status, products, deliveryType, stopDeskId, promoCode, ...fields } = update;
+    const rejected = Object.keys(fields).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (rejected.length > 0) {
+        throw httpError(400, `These fields cannot be edited: ${rejected.join(', ')}.`, { fields: rejected });
+    }
+    if (status === 'dispatched') {
+        throw httpError(400, 'Dispatch orders through PATCH /orders/:orderId/status so a courier shipment is created.');
+    }
+    if (fields.assignedTo === '') {
+        fields.assignedTo = null;
+    }
+
+    return withOrder(tenantId, orderId, async (order, session) => {
+        const before = snapshotOrder(order);
+        const relocated = fields.wilaya !== undefined || fields.commune !== undefined;
+        if (relocated) {
+            Object.assign(fields, resolveLocation({
+                wilaya: fields.wilaya ?? order.wilaya,
+                commune: fields.commune ?? order.commune
+            }));
+        }
+        order.set(fields);
+        // Repriced in the current status, so a status change below moves the new lines' stock.
+        if (relocated || [products, deliveryType, stopDeskId, promoCode].some(value => value !== undefined)) {
+            await repriceOrder({ order, items: products, deliveryType, stopDeskId, promoCode, user, session });
+        }
+        if (status && status !== order.status) {
+            await changeOrderStatus({ order, status, user, session });
+        }
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: 'updated', user, req, session });
+    });
+};
+
+/**
+ * Deletes an order, releasing the stock it still holds.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {object} params.user - The staff member making the change.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The deleted order document.
+ */
+const deleteOrder = ({ tenantId, orderId, user, req }) =>
+    withOrder(tenantId, orderId, async (order, session) => {
+        await releaseOrderStock({ order, user, note: 'Order deleted.', session });
+        await recordOrderHistory({ order, before: snapshotOrder(order), action: 'deleted', user, req, session });
+        await Order.deleteOne({ _id: order._id, tenantId }).session(session);
+    });
+
+/**
+ * Adds a tag to an order (no-op if it is already tagged).
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {string} params.tag - The tag to add.
+ * @param {object} params.user - The staff member making the change.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const addOrderTag = ({ tenantId, orderId, tag, user, req }) =>
+    withOrder(tenantId, orderId, async (order, session) => {
+        const before = snapshotOrder(order);
+        order.tags.addToSet(tag);
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: 'updated', user, req, session });
+    });
+
+/**
+ * Releases an order held because its number is on the shared blacklist (`risk.hold`), so it goes
+ * back to the confirmation queue. Without a user, the release is recorded as a system change.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {object} [params.user] - The admin releasing the order.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const releaseOrderHold = ({ tenantId, orderId, user, req }) =>
+    withOrder(tenantId, orderId, async (order, session) => {
+        if (!order.risk?.hold) {
+            throw httpError(409, 'This order is not on hold.');
+        }
+        const before = snapshotOrder(order);
+        order.risk.hold = false;
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: 'hold_released', user, req, session });
+    });
+
+/**
+ * Releases the held orders of a number in every tenant, once it is cleared from the shared blacklist.
+ * @param {string} phone - The number, in any format.
+ * @returns {Promise<number>} The number of orders released.
+ */
+const releaseHeldOrders = async (phone) => {
+    const orders = await Order.find({ phoneNumber: { $in: phoneVariants(phone) }, 'risk.hold': true })
+        .select('_id tenantId')
+        .lean();
+    let released = 0;
+    for (const { _id, tenantId } of orders) {
+        try {
+            await releaseOrderHold({ tenantId, orderId: _id });
+            released++;
+        } catch (error) {
+            if (error.statusCode !== 409) {
+                console.error(`Error releasing the hold of order ${_id}:`, error);
+            }
+        }
+    }
+    return released;
+};
+
+// Call outcomes that count towards the tenant's `maxFailedAttempts`.
+const FAILED_CALL_OUTCOMES = ['no_answer', 'busy', 'wrong_number'];
+
+/**
+ * Records a confirmation call attempt and moves the order accordingly:
+ * - 'refused' cancels the order and is reported to the shared blacklist;
+ * - other outcomes move it to 'tentative' and schedule a callback (the given time, or
+ * `retryDelayMinutes` from now), which resurfaces it in the queue;
+ * - reaching `maxFailedAttempts` failed calls cancels the order.
+ * The agent's queue lock is released either way.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {string} params.outcome - 'no_answer', 'busy', 'wrong_number', 'call_later' or 'refused'.
+ * @param {string} [params.note] - Free-form note from the agent.
+ * @param {Date|string} [params.callbackAt] - When to call back (required for 'call_later').
+ * @param {object} params.user - The agent.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The updated order document.
+ */
+const logCallAttempt = ({ tenantId, orderId, outcome, note, callbackAt, user, req }) =>
+    withOrder(tenantId, orderId, async (order, session) => {
+        assertQueueAccess(order, user);
+        if (!['pending', 'tentative'].includes(order.status)) {
+            throw httpError(400, `Calls can only be logged on pending or tentative orders, not "${order.status}".`);
+        }
+        let callback = null;
+        if (callbackAt) {
+            callback = new Date(callbackAt);
+            if (isNaN(callback.getTime()) || callback <= new Date()) {
+                throw httpError(400, 'callbackAt must be a valid date in the future.');
+            }
+        } else if (outcome === 'call_later') {
+            throw httpError(400, 'callbackAt is required when the customer asked to be called later.');
+        }
+
+        const before = snapshotOrder(order);
+        order.callAttempts.push({ outcome, agent: user._id, note, callbackAt: callback });
+        releaseLock(order);
+
+        const settings = await getQueueSettings(tenantId, session);
+        const failedAttempts = order.callAttempts.filter(attempt => FAILED_CALL_OUTCOMES.includes(attempt.outcome)).length;
+        if (outcome === 'refused') {
+            await changeOrderStatus({ order, status: 'cancelled', user, session });
+            await reportDeliveryOutcome({ order, outcome: 'refused', session });
+        } else if (settings.maxFailedAttempts > 0 && failedAttempts >= settings.maxFailedAttempts) {
+            await changeOrderStatus({ order, status: 'cancelled', user, session });
+        } else {
+            if (order.status !== 'tentative') {
+                await changeOrderStatus({ order, status: 'tentative', user, session });
+            }
+            order.queue.callbackAt = callback || new Date(Date.now() + settings.retryDelayMinutes * 60 * 1000);
+        }
+
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: 'call_attempt', user, req, session });
+    });
+
+module.exports = {
+    FAILED_CALL_OUTCOMES,
+    findTenantOrder,
+    withOrder,
+    updateOrderStatus,
+    updateOrderFields,
+    deleteOrder,
+    addOrderTag,
+    releaseOrderHold,
+    releaseHeldOrders,
+    logCallAttempt
+};
@@ -0,0 +1,200 @@
+/**
+ * FILE: ./services/orderExport.js
+ * DESC: Streams orders to CSV or XLSX for couriers and accountants.
+ *
+ * Orders are read through a MongoDB cursor and written row by row, so an export
+ * never holds the whole result set in memory.
+ */
+const ExcelJS = require('exceljs');
+const { ORDER_STATUSES } = require('./orderQuery');
+const { httpError } = require('./httpError');
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+const describeLine = (line) => {
+    const options = [line.color, line.size].filter(Boolean).join('/');
+    return `${line.quantity} x ${line.name}${options ? ` (${options})` : ''}`;
+};
+
+// Columns available on every row. `value` receives the (lean, populated) order.
+const ORDER_COLUMNS = {
+    orderNumber: { header: 'Order Number', value: order => order.orderNumber || String(order._id) },
+    createdAt: { header: 'Created At', value: order => formatDate(order.createdAt) },
+    status: { header: 'Status', value: order => order.status },
+    fullName: { header: 'Customer Name', value: order => order.fullName },
+    phoneNumber: { header: 'Phone Number', value: order => order.phoneNumber },
+    wilaya: { header: 'Wilaya', value: order => order.wilaya },
+    commune: { header: 'Commune', value: order => order.commune },
+    address: { header: 'Address', value: order => order.address || '' },
+    deliveryType: { header: 'Delivery Type', value: order => order.deliveryType === 'stop_desk' ? 'Stop desk' : 'Home' },
+    stopDesk: { header: 'Stop Desk', value: order => order.stopDesk?.name || '' },
+    products: { header: 'Products', value: order => (order.products || []).map(describeLine).join(' | ') },
+    itemCount: { header: 'Items', value: order => (order.products || []).reduce((sum, line) => sum + line.quantity, 0) },
+    subtotal: { header: 'Subtotal', value: order => order.pricing?.subtotal ?? '' },
+    shipping: { header: 'Shipping', value: order => order.pricing?.shipping ?? '' },
+    discount: { header: 'Discount', value: order => order.pricing?.discount ?? '' },
+    totalPrice: { header: 'Total Price', value: order => order.totalPrice },
+    barcodeId: { header: 'Tracking / Barcode', value: order => order.barcodeId || '' },
+    source: { header: 'Source', value: order => order.source },
+    tags: { header: 'Tags', value: order => (order.tags || []).join(', ') },
+    notes: { header: 'Notes', value: order => order.notes || '' },
+    confirmedBy: { header: 'Confirmed By', value: order => order.confirmedBy?.name || '' },
+    assignedTo: { header: 'Assigned To', value: order => order.assignedTo?.name || '' },
+};
+
+// One column per status timestamp, e.g. `confirmedAt`.
+for (const status of ORDER_STATUSES) {
+    ORDER_COLUMNS[`${status}At`] = {
+        header: `${status.charAt(0).toUpperCase()}${status.slice(1)} At`,
+        value: order => formatDate(order.statusTimestamps?.[status])
+    };
+}
+
+// Columns only available with `layout=lines`, where each product line is its own row.
+const LINE_COLUMNS = {
+    productName: { header: 'Product', value: (order, line) => line.name },
+    productQuantity: { header: 'Quantity', value: (order, line) => line.quantity },
+    productUnitPrice: { header: 'Unit Price', value: (order, line) => line.priceAtPurchase },
+    productColor: { header: 'Color', value: (order, line) => line.color || '' },
+    productSize: { header: 'Size', value: (order, line) => line.size || '' },
+    productSku: { header: 'SKU', value: (order, line) => line.sku || '' },
+};
+
+const DEFAULT_COLUMNS = [
+    'orderNumber', 'createdAt', 'status', 'fullName', 'phoneNumber', 'wilaya', 'commune',
+    'address', 'products', 'totalPrice', 'confirmedBy'
+];
+const DEFAULT_LINE_COLUMNS = [
+    'orderNumber', 'createdAt', 'status', 'fullName', 'phoneNumber', 'wilaya', 'commune',
+    'productName', 'productQuantity', 'productUnitPrice', 'productColor', 'productSize', 'totalPrice'
+];
+
+/**
+ * Resolves the requested column keys into column definitions.
+ * @param {string} [columns] - Comma-separated column keys; defaults depend on the layout.
+ * @param {string} [layout] - 'orders' (one row per order) or 'lines' (one row per product line).
+ * @returns {Array<object>} The column definitions, in the requested order.
+ */
+const resolveColumns = (columns, layout) => {
+    const available = layout === 'lines' ? { ...ORDER_COLUMNS, ...LINE_COLUMNS } : ORDER_COLUMNS;
+    const keys = columns
+        ? String(columns).split(',').map(key => key.trim()).filter(Boolean)
+        : (layout === 'lines' ? DEFAULT_LINE_COLUMNS : DEFAULT_COLUMNS);
+
+    const unknown = keys.filter(key => !available[key]);
+    if (unknown.length) {
+        throw httpError(400, `Unknown export columns: ${unknown.join(', ')}. Available: ${Object.keys(available).join(', ')}.`);
+    }
+    return keys.map(key => ({ key, ...available[key] }));
+};
+
+/**
+ * Turns an order into one or more rows of cell values.
+ * @param {object} order - The lean, populated order.
+ * @param {Array<object>} columns - The resolved columns.
+ * @param {string} [layout] - 'orders' or 'lines'.
+ * @returns {Array<Array<*>>} The rows.
+ */
+const toRows = (order, columns, layout) => {
+    const lines = layout === 'lines' && order.products?.length ? order.products : [null];
+    return lines.map(line => columns.map(column => {
+        const value = column.value(order, line || {});
+        return value === undefined || value === null ? '' : value;
+    }));
+};
+
+/**
+ * Escapes a value for CSV and neutralizes spreadsheet formulas.
+ * Phone numbers such as "+213..." are left untouched.
+ * @param {*} value - The cell value.
+ * @returns {string} The CSV-safe cell.
+ */
+const toCsvCell = (value) => {
+    let text = String(value);
+    if (/^[=@\t\r]/.test(text) || /^[+-][^\d]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Resolves once the response can take more data, or once the client has gone.
+ * @param {object} res - The Express response.
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Streams orders from a Mongoose cursor to the response as CSV or XLSX. If the client
+ * disconnects, the export stops and the cursor is closed.
+ * @param {object} params
+ * @param {object} params.res - The Express response.
+ * @param {object} params.cursor - A Mongoose query cursor over lean, populated orders.
+ * @param {string} [params.format] - 'csv' (default) or 'xlsx'.
+ * @param {string} [params.columns] - Comma-separated column keys.
+ * @param {string} [params.layout] - 'orders' (default) or 'lines'.
+ * @param {string} params.filename - The download filename, without extension.
+ */
+const streamOrderExport = async ({ res, cursor, format = 'csv', columns, layout, filename }) => {
+    let aborted = false;
+    const onClose = () => {
+        aborted = !res.writableFinished;
+    };
+    res.once('close', onClose);
+
+    try {
+        if (!['csv', 'xlsx'].includes(format)) {
+            throw httpError(400, 'Export format must be "csv" or "xlsx".');
+        }
+        const resolvedColumns = resolveColumns(columns, layout);
+        const headers = resolvedColumns.map(column => column.header);
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+            const worksheet = workbook.addWorksheet('Orders');
+            worksheet.addRow(headers).commit();
+            for await (const order of cursor) {
+                if (aborted) {
+                    return;
+                }
+                for (const row of toRows(order, resolvedColumns, layout)) {
+                    worksheet.addRow(row).commit();
+                }
+            }
+            worksheet.commit();
+            await workbook.commit();
+            return;
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        // The BOM makes Excel open Arabic and accented names correctly.
+        res.write(`\uFEFF${headers.map(toCsvCell).join(',')}\r\n`);
+        for await (const order of cursor) {
+            const chunk = toRows(order, resolvedColumns, layout)
+                .map(row => `${row.map(toCsvCell).join(',')}\r\n`)
+                .join('');
+            if (!res.write(chunk)) {
+                await waitForDrain(res);
+            }
+            if (aborted) {
+                return;
+            }
+        }
+        res.end();
+    } finally {
+        res.off('close', onClose);
+        await cursor.close();
+    }
+};
+
+module.exports = { ORDER_COLUMNS, LINE_COLUMNS, resolveColumns, toRows, toCsvCell, streamOrderExport };
@@ -0,0 +1,86 @@
+/**
+ * FILE: ./services/orderHistory.js
+ * DESC: Records order changes into the append-only `OrderHistory` collection.
+ *
+ * Usage: take a `snapshotOrder(order)` before modifying the document, then call
+ * `recordOrderHistory` with that snapshot once the changes have been applied.
+ */
+const OrderHistory = require('../models/OrderHistory');
+
+// Bookkeeping fields that are never reported as changes.
+const IGNORED_FIELDS = ['_id', '__v', 'tenantId', 'createdAt', 'updatedAt'];
+
+/**
+ * Takes a plain, JSON-safe copy of an order for later comparison.
+ * @param {object} order - The order document.
+ * @returns {object} The snapshot.
+ */
+const snapshotOrder = (order) => JSON.parse(JSON.stringify(order.toObject({ depopulate: true, flattenMaps: true })));
+
+/**
+ * Lists the top-level fields whose values differ between two snapshots.
+ * @param {object} before - The snapshot taken before the change.
+ * @param {object} after - The snapshot taken after the change.
+ * @returns {Array<{ field: string, before: *, after: * }>} The changed fields.
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        const previous = before[field] === undefined ? null : before[field];
+        const next = after[field] === undefined ? null : after[field];
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes.push({ field, before: previous, after: next });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Describes the route that handled a request, e.g. "PATCH /orders/:orderId".
+ * @param {object} req - The Express request.
+ * @returns {string|null} The route description.
+ */
+const describeRoute = (req) => {
+    if (!req) {
+        return null;
+    }
+    const path = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl;
+    return `${req.method} ${path}`;
+};
+
+/**
+ * Appends a history entry for an order. Nothing is written for updates that changed nothing.
+ * @param {object} params
+ * @param {object} params.order - The order document, after the change.
+ * @param {object} [params.before] - The snapshot taken before the change (omit for creations).
+ * @param {string} params.action - e.g. 'created', 'updated', 'status_changed', 'deleted'.
+ * @param {object} [params.user] - The staff member who made the change.
+ * @param {string} [params.actorType] - 'user', 'customer', 'system' or 'courier'.
+ * @param {object} [params.req] - The Express request, used to record the route.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object|null>} The history entry, or null if nothing changed.
+ */
+const recordOrderHistory = async ({ order, before, action, user, actorType, req, session }) => {
+    const after = action === 'deleted' ? {} : snapshotOrder(order);
+    const changes = diffSnapshots(before || {}, after);
+    if (action === 'updated' && changes.length === 0) {
+        return null;
+    }
+
+    const [entry] = await OrderHistory.create([{
+        tenantId: order.tenantId,
+        orderId: order._id,
+        action,
+        changedBy: user ? user._id : null,
+        actorType: actorType || (user ? 'user' : 'system'),
+        route: describeRoute(req),
+        changes
+    }], { session });
+    return entry;
+};
+
+module.exports = { snapshotOrder, diffSnapshots, recordOrderHistory };
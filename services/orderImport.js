@@ -0,0 +1,321 @@
+/**
+ * FILE: ./services/orderImport.js
+ * DESC: Bulk order import from CSV files (platform migrations, Messenger orders, ...).
+ *
+ * Each CSV row becomes one single-line order. Rows are validated against the `Order`
+ * schema, products are resolved by barcode (product or variant) or name, and every row
+ * gets its own result so the tenant receives a row-by-row error report. In dry-run mode
+ * nothing is written.
+ */
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { loadSiteConfig, findDeliveryFee, roundAmount } = require('./orderPricing');
+const { takeOrderStock } = require('./orderStatus');
+const { recordOrderHistory } = require('./orderHistory');
+const { assessOrderRisk } = require('./orderRisk');
+const { assignQueueAgent } = require('./confirmationQueue');
+const { escapeRegex } = require('./orderQuery');
+const { resolveLocation } = require('./geo');
+const { computeShipping } = require('./deliveryRules');
+const { findSku, getSkuOptions, findProductByBarcode } = require('./productSkus');
+const { httpError } = require('./httpError');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_SOURCES = ['import', 'messenger'];
+
+// Order fields that can be mapped from CSV columns.
+const IMPORT_FIELDS = [
+    'fullName', 'phoneNumber', 'wilaya', 'commune', 'address', 'deliveryType', 'notes',
+    'productBarcode', 'productName', 'quantity', 'color', 'size',
+    'unitPrice', 'shipping', 'totalPrice'
+];
+
+/**
+ * Parses an uploaded CSV file into row objects keyed by header.
+ * @param {Buffer} buffer - The raw file contents.
+ * @param {string} [delimiter] - The column delimiter (default ",").
+ * @returns {Array<object>} The rows.
+ */
+const parseOrderCsv = (buffer, delimiter = ',') => {
+    let rows;
+    try {
+        rows = parse(buffer, { columns: true, bom: true, delimiter, skip_empty_lines: true, trim: true });
+    } catch (error) {
+        throw httpError(400, `Could not parse the CSV file: ${error.message}`);
+    }
+    if (rows.length === 0) {
+        throw httpError(400, 'The CSV file has no data rows.');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw httpError(400, `A single import can include at most ${MAX_IMPORT_ROWS} rows.`);
+    }
+    return rows;
+};
+
+/**
+ * Validates the column mapping ({ orderField: 'CSV header' }).
+ * Without a mapping, CSV headers are expected to match the field names.
+ * @param {object|string} [mapping] - The mapping, possibly as a JSON string.
+ * @param {Array<string>} headers - The CSV headers.
+ * @returns {object} The mapping.
+ */
+const resolveMapping = (mapping, headers) => {
+    let parsed = mapping;
+    if (typeof mapping === 'string') {
+        try {
+            parsed = JSON.parse(mapping);
+        } catch (error) {
+            throw httpError(400, 'Invalid column mapping. Must be a valid JSON object.');
+        }
+    }
+    if (!parsed) {
+        parsed = Object.fromEntries(IMPORT_FIELDS.filter(field => headers.includes(field)).map(field => [field, field]));
+    }
+
+    const unknownFields = Object.keys(parsed).filter(field => !IMPORT_FIELDS.includes(field));
+    if (unknownFields.length) {
+        throw httpError(400, `Unknown import fields: ${unknownFields.join(', ')}. Available: ${IMPORT_FIELDS.join(', ')}.`);
+    }
+    const missingColumns = Object.values(parsed).filter(column => !headers.includes(column));
+    if (missingColumns.length) {
+        throw httpError(400, `Mapped columns not found in the CSV: ${missingColumns.join(', ')}.`);
+    }
+    if (!parsed.productBarcode && !parsed.productName) {
+        throw httpError(400, 'Map either productBarcode or productName so products can be resolved.');
+    }
+    return parsed;
+};
+
+/**
+ * Parses an optional numeric cell.
+ * @param {string} value - The raw cell.
+ * @returns {number|undefined|null} The number, undefined if empty, null if not numeric.
+ */
+const toNumber = (value) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(String(value).replace(/\s/g, '').replace(',', '.'));
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Parses a delivery type cell. Empty cells mean home delivery.
+ * @param {string} [value] - The raw cell ("home", "domicile", "stop desk", "stop_desk", "bureau", ...).
+ * @returns {string|null} 'home' or 'stop_desk', or null if unrecognized.
+ */
+const parseDeliveryType = (value) => {
+    const normalized = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!normalized || ['home', 'domicile', 'a_domicile'].includes(normalized)) {
+        return 'home';
+    }
+    return ['stop_desk', 'stopdesk', 'desk', 'bureau'].includes(normalized) ? 'stop_desk' : null;
+};
+
+/**
+ * Creates a cached product resolver for one import.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @returns {Function} `async (barcode, name) => { product, sku }|null`; sku is set when a variant barcode matched.
+ */
+const createProductResolver = (tenantObjectId) => {
+    const cache = new Map();
+    return async (barcode, name) => {
+        const key = barcode ? `barcode:${barcode}` : `name:${String(name).toLowerCase()}`;
+        if (!cache.has(key)) {
+            if (barcode) {
+                cache.set(key, await findProductByBarcode(tenantObjectId, barcode));
+            } else {
+                const product = await Product.findOne({ tenantId: tenantObjectId, name: new RegExp(`^${escapeRegex(String(name))}$`, 'i') }).lean();
+                cache.set(key, product ? { product, sku: null } : null);
+            }
+        }
+        return cache.get(key);
+    };
+};
+
+/**
+ * Builds (but does not save) the order for one CSV row.
+ * @returns {Promise<{ order: object|null, errors: Array<string> }>}
+ */
+const buildOrderFromRow = async ({ row, mapping, tenantObjectId, siteConfig, resolveProduct, source }) => {
+    const cell = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+    const errors = [];
+
+    const barcode = cell('productBarcode');
+    const productName = cell('productName');
+    let match = null;
+    if (barcode || productName) {
+        match = await resolveProduct(barcode, productName);
+        if (!match && barcode && productName) {
+            match = await resolveProduct(null, productName);
+        }
+    }
+    const product = match?.product;
+    let sku = match?.sku || null;
+    if (!product) {
+        errors.push(`Product not found (barcode: ${barcode || '-'}, name: ${productName || '-'}).`);
+    } else if (!sku && product.skus?.length) {
+        sku = findSku(product, { color: cell('color'), size: cell('size') });
+        if (!sku) {
+            errors.push(`No variant of ${product.name} matches color "${cell('color') || '-'}" and size "${cell('size') || '-'}".`);
+        }
+    }
+
+    const quantity = toNumber(cell('quantity'));
+    const unitPrice = toNumber(cell('unitPrice'));
+    const shipping = toNumber(cell('shipping'));
+    const totalPrice = toNumber(cell('totalPrice'));
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+        errors.push('Quantity must be a positive whole number.');
+    }
+    for (const [field, value] of Object.entries({ unitPrice, shipping, totalPrice })) {
+        if (value === null || value < 0) {
+            errors.push(`${field} must be a non-negative number.`);
+        }
+    }
+    const deliveryType = parseDeliveryType(cell('deliveryType'));
+    if (!deliveryType) {
+        errors.push(`Invalid delivery type: ${cell('deliveryType')}. Use "home" or "stop_desk".`);
+    }
+    let location = null;
+    if (cell('wilaya') && cell('commune')) {
+        try {
+            location = resolveLocation({ wilaya: cell('wilaya'), commune: cell('commune') });
+        } catch (error) {
+            const suggestions = error.details?.suggestions?.length ? ` Did you mean: ${error.details.suggestions.join(', ')}?` : '';
+            errors.push(`${error.message}${suggestions}`);
+        }
+    }
+    if (errors.length) {
+        return { order: null, errors };
+    }
+
+    const lineQuantity = quantity || 1;
+    const linePrice = unitPrice !== undefined ? unitPrice : (sku?.price ?? product.price);
+    const skuOptions = sku ? getSkuOptions(sku) : {};
+    const subtotal = roundAmount(linePrice * lineQuantity);
+    const fee = location ? findDeliveryFee(siteConfig.deliveryFees || [], location.wilayaCode) : null;
+    // Without a shipping column, the row is charged what checkout would charge (imports skip availability checks).
+    const feePrice = fee ? (deliveryType === 'stop_desk' ? fee.stopDeskPrice : fee.price) : null;
+    const shippingAmount = shipping !== undefined ? shipping : (fee && feePrice !== null && feePrice !== undefined
+        ? computeShipping({
+            fee,
+            delivery: { deliveryType, shipping: feePrice },
+            communeCode: location.communeCode,
+            lines: [{ quantity: lineQuantity, product }],
+            subtotal,
+            rules: siteConfig.deliveryRules
+        }).shipping
+        : 0);
+    const total = totalPrice !== undefined ? totalPrice : roundAmount(subtotal + shippingAmount);
+
+    const order = new Order({
+        tenantId: tenantObjectId,
+        fullName: cell('fullName'),
+        // Imported phone numbers often contain spaces, dots or dashes.
+        phoneNumber: cell('phoneNumber') ? String(cell('phoneNumber')).replace(/[\s.\-()]/g, '') : undefined,
+        // Missing wilaya or commune cells are reported by the schema validation below.
+        wilaya: cell('wilaya'),
+        commune: cell('commune'),
+        ...location,
+        address: cell('address'),
+        deliveryType,
+        notes: cell('notes') || '',
+        products: [{
+            productId: product._id,
+            name: product.name,
+            skuId: sku ? sku._id : null,
+            sku: sku?.sku,
+            quantity: lineQuantity,
+            priceAtPurchase: linePrice,
+            color: skuOptions.Color ?? (cell('color') || undefined),
+            size: skuOptions.Size ?? (cell('size') || undefined)
+        }],
+        totalPrice: total,
+        pricing: {
+            subtotal,
+            shipping: shippingAmount,
+            discount: Math.max(roundAmount(subtotal + shippingAmount - total), 0),
+            total
+        },
+        source
+    });
+
+    const validationError = order.validateSync();
+    if (validationError) {
+        return { order: null, errors: Object.values(validationError.errors).map(error => error.message) };
+    }
+    return { order, errors: [] };
+};
+
+/**
+ * Imports parsed CSV rows as orders.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {Array<object>} params.rows - Rows from `parseOrderCsv`.
+ * @param {object|string} [params.mapping] - Column mapping ({ orderField: 'CSV header' }).
+ * @param {boolean} [params.dryRun] - Validate only; write nothing.
+ * @param {boolean} [params.deductStock] - Take product stock for every imported order (reserved while unconfirmed).
+ * @param {string} [params.source] - 'import' (default) or 'messenger'.
+ * @param {object} params.user - The staff member running the import.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} `{ dryRun, totalRows, succeeded, failed, rows }`.
+ */
+const importOrders = async ({ tenant, rows, mapping, dryRun = false, deductStock: shouldDeductStock = false, source = 'import', user, req }) => {
+    if (!IMPORT_SOURCES.includes(source)) {
+        throw httpError(400, `Invalid source. Allowed: ${IMPORT_SOURCES.join(', ')}.`);
+    }
+    const resolvedMapping = resolveMapping(mapping, Object.keys(rows[0]));
+    const siteConfig = await loadSiteConfig(tenant._id);
+    const resolveProduct = createProductResolver(tenant._id);
+
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+        // Line 1 of the file is the header row.
+        const result = { row: index + 2, success: false };
+        try {
+            const { order, errors } = await buildOrderFromRow({
+                row, mapping: resolvedMapping, tenantObjectId: tenant._id, siteConfig, resolveProduct, source
+            });
+            if (!order) {
+                results.push({ ...result, errors });
+                continue;
+            }
+            if (dryRun) {
+                results.push({ ...result, success: true });
+                continue;
+            }
+
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    order.risk = await assessOrderRisk({ order, siteConfig, session });
+                    await assignQueueAgent({ order, tenant, settings: siteConfig.confirmationQueue });
+                    // Orders imported without touching stock never give any back.
+                    order.stockState = 'untracked';
+                    await order.save({ session });
+                    if (shouldDeductStock) {
+                        await takeOrderStock({ order, user, settings: siteConfig.stockReservation, session });
+                        await order.save({ session });
+                    }
+                    await recordOrderHistory({ order, action: 'created', user, req, session });
+                });
+            } finally {
+                session.endSession();
+            }
+            results.push({ ...result, success: true, orderId: order._id, orderNumber: order.orderNumber });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error(`Order import error on row ${result.row}:`, error);
+            }
+            results.push({ ...result, errors: [error.statusCode ? error.message : 'Server error importing this row.'] });
+        }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    return { dryRun, totalRows: rows.length, succeeded, failed: rows.length - succeeded, rows: results };
+};
+
+module.exports = { IMPORT_FIELDS, IMPORT_SOURCES, parseOrderCsv, resolveMapping, importOrders };
@@ -0,0 +1,157 @@
+/**
+ * FILE: ./services/orderLabels.js
+ * DESC: Printable shipping labels (PDF) for confirmed orders, generated entirely server-side.
+ *
+ * Each label carries a Code128 barcode of the tracking number (`barcodeId`) or, before the
+ * order is handed to a courier, of its order number. 'A6' prints one label per page; 'A4'
+ * prints four A6 labels per page, for plain office paper. Stop-desk orders are marked as such
+ * and carry the office to deliver to instead of the customer's address.
+ *
+ * The built-in PDF fonts only cover Latin scripts. Set `LABEL_FONT_PATH` to a TTF font with
+ * Arabic glyphs (e.g. Noto Sans Arabic) to print names and addresses written in Arabic.
+ */
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { httpError } = require('./httpError');
+
+// Orders that can be labelled: confirmed and waiting for, or already with, the courier.
+const LABEL_STATUSES = ['confirmed', 'dispatched'];
+const LABEL_SIZES = ['A6', 'A4'];
+
+// A6 in PDF points, and the 2x2 grid of A6 labels on an A4 page.
+const A6 = { width: 297.64, height: 419.53 };
+const A4_SLOTS = [
+    { x: 0, y: 0 }, { x: A6.width, y: 0 },
+    { x: 0, y: A6.height }, { x: A6.width, y: A6.height }
+];
+const MARGIN = 14;
+
+/**
+ * The value encoded in an order's barcode.
+ * @param {object} order - The order.
+ * @returns {string} The tracking number, order number or id.
+ */
+const getBarcodeValue = (order) => order.barcodeId || order.orderNumber || String(order._id);
+
+/**
+ * Renders a Code128 barcode as a PNG.
+ * @param {string} text - The value to encode.
+ * @returns {Promise<Buffer>} The PNG image.
+ */
+const renderBarcode = (text) => bwipjs.toBuffer({
+    bcid: 'code128',
+    text,
+    scale: 3,
+    height: 12,
+    includetext: true,
+    textxalign: 'center'
+});
+
+/**
+ * Draws one label in the box starting at (x, y).
+ * @param {object} doc - The PDFKit document.
+ * @param {object} params
+ * @param {object} params.order - The order (lean).
+ * @param {object} params.siteConfig - The tenant's site configuration (sender details).
+ * @param {Buffer} params.barcode - The barcode PNG.
+ * @param {number} params.x - Left edge of the label.
+ * @param {number} params.y - Top edge of the label.
+ */
+const drawLabel = (doc, { order, siteConfig, barcode, x, y }) => {
+    const left = x + MARGIN;
+    const width = A6.width - MARGIN * 2;
+    const contact = siteConfig.contactInfo || {};
+
+    doc.rect(x + 4, y + 4, A6.width - 8, A6.height - 8).lineWidth(0.5).stroke();
+
+    doc.fontSize(8).fillColor('#555').text('FROM', left, y + MARGIN, { width });
+    doc.fontSize(10).fillColor('#000').text(siteConfig.siteName || '', { width });
+    doc.fontSize(8).text([contact.phone, contact.address].filter(Boolean).join(' - '), { width });
+
+    doc.moveDown(0.6);
+    doc.fontSize(8).fillColor('#555').text('TO', { width });
+    doc.fontSize(12).fillColor('#000').text(order.fullName, { width });
+    doc.fontSize(11).text(order.phoneNumber, { width });
+    doc.fontSize(10).text(`${order.wilaya} - ${order.commune}`, { width });
+    if (order.deliveryType === 'stop_desk') {
+        const desk = order.stopDesk || {};
+        doc.fontSize(11).text(`STOP DESK${desk.name ? `: ${desk.name}` : ''}`, { width });
+        const deskAddress = [desk.address, desk.commune].filter(Boolean).join(', ');
+        if (deskAddress) {
+            doc.fontSize(9).text(deskAddress, { width, height: 24, ellipsis: true });
+        }
+    } else {
+        doc.fontSize(11).text('HOME DELIVERY', { width });
+        if (order.address) {
+            doc.fontSize(9).text(order.address, { width, height: 36, ellipsis: true });
+        }
+    }
+
+    doc.moveDown(0.6);
+    doc.fontSize(14).text(`COD: ${order.totalPrice} DA`, { width });
+    doc.fontSize(8).text(`Order ${order.orderNumber || order._id}  |  ${new Date(order.createdAt).toISOString().slice(0, 10)}`, { width });
+
+    doc.moveDown(0.4);
+    const summary = (order.products || [])
+        .map(line => {
+            const options = [line.color, line.size].filter(Boolean).join('/');
+            return `${line.quantity} x ${line.name}${options ? ` (${options})` : ''}`;
+        })
+        .join(', ');
+    doc.fontSize(8).text(summary, { width, height: 40, ellipsis: true });
+
+    // The barcode sits at the bottom of the label whatever the text above took.
+    doc.image(barcode, left, y + A6.height - MARGIN - 70, { fit: [width, 64], align: 'center' });
+};
+
+/**
+ * Streams a PDF of labels for the given orders.
+ * @param {object} params
+ * @param {Array<object>} params.orders - The orders (lean), in print order.
+ * @param {object} params.siteConfig - The tenant's site configuration.
+ * @param {string} [params.size] - 'A6' (default) or 'A4'.
+ * @param {object} params.res - The Express response.
+ * @param {string} params.filename - The download filename, without extension.
+ */
+const streamLabels = async ({ orders, siteConfig, size = 'A6', res, filename }) => {
+    if (!LABEL_SIZES.includes(size)) {
+        throw httpError(400, `Label size must be one of: ${LABEL_SIZES.join(', ')}.`);
+    }
+    const notPrintable = orders.filter(order => !LABEL_STATUSES.includes(order.status));
+    if (notPrintable.length) {
+        throw httpError(400, `Labels can only be printed for ${LABEL_STATUSES.join(' or ')} orders.`, {
+            orderIds: notPrintable.map(order => order._id)
+        });
+    }
+
+    // Barcodes are rendered up front, so an invalid value fails before the PDF starts streaming.
+    const barcodes = [];
+    for (const order of orders) {
+        barcodes.push(await renderBarcode(getBarcodeValue(order)));
+    }
+
+    const pageSize = size === 'A4' ? 'A4' : [A6.width, A6.height];
+    const doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false });
+    if (process.env.LABEL_FONT_PATH) {
+        doc.registerFont('Label', process.env.LABEL_FONT_PATH);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    doc.pipe(res);
+
+    const perPage = size === 'A4' ? A4_SLOTS.length : 1;
+    orders.forEach((order, index) => {
+        if (index % perPage === 0) {
+            doc.addPage();
+            if (process.env.LABEL_FONT_PATH) {
+                doc.font('Label');
+            }
+        }
+        const slot = size === 'A4' ? A4_SLOTS[index % perPage] : { x: 0, y: 0 };
+        drawLabel(doc, { order, siteConfig, barcode: barcodes[index], x: slot.x, y: slot.y });
+    });
+    doc.end();
+};
+
+module.exports = { LABEL_STATUSES, LABEL_SIZES, getBarcodeValue, streamLabels };
@@ -0,0 +1,42 @@
+/**
+ * FILE: ./services/orderNumber.js
+ * DESC: Generates human-readable, per-tenant order numbers (e.g. `SHK-000123`).
+ *
+ * Each tenant has its own sequence in the `Counter` collection. The prefix and
+ * zero-padding come from the tenant's `SiteConfig.orderNumbering` settings.
+ */
+const SiteConfig = require('../models/sitecontroll');
+const { getNextSequenceValue } = require('./sequence');
+
+const DEFAULT_PREFIX = 'ORD';
+const DEFAULT_PADDING = 6;
+
+/**
+ * Formats a raw sequence value into an order number.
+ * @param {number} seq - The sequence value.
+ * @param {object} [numbering] - The tenant's `orderNumbering` settings.
+ * @returns {string} The formatted order number.
+ */
+const formatOrderNumber = (seq, numbering = {}) => {
+    const prefix = numbering.prefix !== undefined ? numbering.prefix : DEFAULT_PREFIX;
+    const padding = numbering.padding || DEFAULT_PADDING;
+    const digits = String(seq).padStart(padding, '0');
+    return prefix ? `${prefix}-${digits}` : digits;
+};
+
+/**
+ * Reserves the next order number for a tenant. Pass the order's session so a transaction
+ * that aborts or retries does not leave a gap in the numbering.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<string>} The next order number.
+ */
+const generateOrderNumber = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'orderNumbering')
+        .session(session || null)
+        .lean();
+    const seq = await getNextSequenceValue(`orderNumber_${tenantObjectId}`, session);
+    return formatOrderNumber(seq, siteConfig?.orderNumbering);
+};
+
+module.exports = { formatOrderNumber, generateOrderNumber };
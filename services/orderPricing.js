@@ -0,0 +1,462 @@
+/**
+ * FILE: ./services/orderPricing.js
+ * DESC: Server-side checkout pricing.
+ *
+ * Line prices always come from `Product.price` (or the SKU's price override) and the delivery fee from the
+ * tenant's `SiteConfig.deliveryFees`; prices sent by the storefront are never
+ * trusted. The resulting breakdown is stored on the order as `pricing`.
+ *
+ * Each wilaya is priced separately for home delivery (`price`) and stop-desk pickup
+ * at a courier office (`stopDeskPrice`), and either can be switched off per wilaya.
+ * Commune overrides, free shipping and surcharges are applied by services/deliveryRules.js.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const SiteConfig = require('../models/sitecontroll');
+const { computeShipping } = require('./deliveryRules');
+const { findWilaya } = require('./geo');
+const { findSku, getSkuOptions, getAvailable } = require('./productSkus');
+const { httpError } = require('./httpError');
+
+const DELIVERY_TYPES = ['home', 'stop_desk'];
+
+/**
+ * Rounds an amount to two decimals to avoid floating point noise.
+ * @param {number} amount - The raw amount.
+ * @returns {number} The rounded amount.
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalizes a place name for comparison ("Béjaïa" -> "bejaia").
+ * @param {string} value - The raw name.
+ * @returns {string} The normalized name.
+ */
+const normalizeName = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * The wilaya a delivery fee entry prices: the one its name designates, or its `wilayaId` if the
+ * name is not in data/algeriaGeo.json. Entries saved before wilayas 53 to 58 were renumbered
+ * carry stale codes (see `rekeyDeliveryFees`), so the name wins when the two disagree.
+ * @param {object} fee - An entry of `SiteConfig.deliveryFees`.
+ * @returns {number} The wilaya code.
+ */
+const getFeeWilayaCode = (fee) => findWilaya(fee.wilayaName)?.code ?? fee.wilayaId;
+
+/**
+ * Finds the delivery fee entry for a wilaya given as a code ("16", "16 - Alger") or a name.
+ * @param {Array<object>} deliveryFees - The tenant's `SiteConfig.deliveryFees`.
+ * @param {string|number} wilaya - The wilaya as provided by the customer.
+ * @returns {object|undefined} The matching fee entry.
+ */
+const findDeliveryFee = (deliveryFees, wilaya) => {
+    const known = findWilaya(wilaya);
+    if (known) {
+        return deliveryFees.find(fee => getFeeWilayaCode(fee) === known.code);
+    }
+    const wilayaId = parseInt(wilaya, 10);
+    if (!isNaN(wilayaId)) {
+        return deliveryFees.find(fee => fee.wilayaId === wilayaId);
+    }
+    const name = normalizeName(wilaya);
+    return deliveryFees.find(fee => normalizeName(fee.wilayaName) === name);
+};
+
+/**
+ * Corrects the `wilayaId` of stored delivery fee entries whose name designates another wilaya
+ * (see `getFeeWilayaCode`). Each entry is updated in place, so concurrent edits are kept.
+ * Safe to run repeatedly.
+ * @returns {Promise<number>} The number of site configurations updated.
+ */
+const rekeyDeliveryFees = async () => {
+    let updated = 0;
+    const cursor = SiteConfig.find({}, 'deliveryFees._id deliveryFees.wilayaId deliveryFees.wilayaName').lean().cursor();
+    for await (const siteConfig of cursor) {
+        const $set = {};
+        const arrayFilters = [];
+        for (const fee of siteConfig.deliveryFees || []) {
+            const code = getFeeWilayaCode(fee);
+            if (code !== fee.wilayaId) {
+                const row = `row${arrayFilters.length}`;
+                $set[`deliveryFees.$[${row}].wilayaId`] = code;
+                arrayFilters.push({ [`${row}._id`]: fee._id, [`${row}.wilayaName`]: fee.wilayaName });
+            }
+        }
+        if (arrayFilters.length > 0) {
+            await SiteConfig.updateOne({ _id: siteConfig._id }, { $set }, { arrayFilters });
+            updated++;
+        }
+    }
+    return updated;
+};
+
+/**
+ * The delivery types offered in a wilaya, with their prices.
+ * @param {object} fee - The wilaya's entry in `SiteConfig.deliveryFees`.
+ * @returns {Array<object>} `{ deliveryType, price }` for each available type.
+ */
+const getDeliveryTypes = (fee) => {
+    const types = [];
+    if (fee.homeAvailable !== false) {
+        types.push({ deliveryType: 'home', price: fee.price });
+    }
+    if (fee.stopDeskAvailable && fee.stopDeskPrice !== null && fee.stopDeskPrice !== undefined) {
+        types.push({ deliveryType: 'stop_desk', price: fee.stopDeskPrice });
+    }
+    return types;
+};
+
+/**
+ * Validates the chosen delivery type against a wilaya's fee entry and returns its price.
+ * @param {object} fee - The wilaya's entry in `SiteConfig.deliveryFees`.
+ * @param {string} [deliveryType] - 'home' (default) or 'stop_desk'.
+ * @param {string} [stopDeskId] - The chosen stop desk, required when the wilaya lists any.
+ * @returns {object} `{ deliveryType, shipping, stopDesk }`, where stopDesk is null for home delivery.
+ */
+const resolveDeliveryOption = (fee, deliveryType = 'home', stopDeskId) => {
+    if (!DELIVERY_TYPES.includes(deliveryType)) {
+        throw httpError(400, `Invalid delivery type. Allowed: ${DELIVERY_TYPES.join(', ')}.`);
+    }
+    if (deliveryType === 'home') {
+        if (fee.homeAvailable === false) {
+            throw httpError(400, `Home delivery is not available in ${fee.wilayaName}.`, { deliveryTypes: getDeliveryTypes(fee) });
+        }
+        return { deliveryType, shipping: fee.price, stopDesk: null };
+    }
+
+    if (!fee.stopDeskAvailable || fee.stopDeskPrice === null || fee.stopDeskPrice === undefined) {
+        throw httpError(400, `Stop-desk delivery is not available in ${fee.wilayaName}.`, { deliveryTypes: getDeliveryTypes(fee) });
+    }
+    const stopDesks = fee.stopDesks || [];
+    let stopDesk = null;
+    if (stopDesks.length) {
+        const desk = stopDesks.find(candidate => String(candidate._id) === String(stopDeskId));
+        if (!desk) {
+            throw httpError(400, stopDeskId ? `Unknown stop desk: ${stopDeskId}.` : `Choose a stop desk in ${fee.wilayaName}.`, {
+                stopDesks: stopDesks.map(({ _id, name, address, commune }) => ({ _id, name, address, commune }))
+            });
+        }
+        stopDesk = { id: String(desk._id), name: desk.name, address: desk.address, commune: desk.commune };
+    }
+    return { deliveryType, shipping: fee.stopDeskPrice, stopDesk };
+};
+
+/**
+ * Prices the delivery of a cart to a wilaya (and commune).
+ * @param {object} params
+ * @param {object} params.siteConfig - The tenant's site configuration.
+ * @param {Array<object>} params.lines - Cart lines with `quantity` and `product`.
+ * @param {number} params.subtotal - The cart subtotal, before discounts.
+ * @param {string|number} params.wilaya - The delivery wilaya (code or name).
+ * @param {number} [params.communeCode] - The delivery commune, for commune fee overrides.
+ * @param {string} [params.deliveryType] - 'home' (default) or 'stop_desk'.
+ * @param {string} [params.stopDeskId] - The chosen stop desk for 'stop_desk' delivery.
+ * @returns {object} `{ shipping, deliveryType, stopDesk, shippingBreakdown }`.
+ */
+const priceDelivery = ({ siteConfig, lines, subtotal, wilaya, communeCode, deliveryType, stopDeskId }) => {
+    const fee = findDeliveryFee(siteConfig.deliveryFees || [], wilaya);
+    if (!fee) {
+        throw httpError(400, `Delivery is not available for wilaya: ${wilaya}.`);
+    }
+    const delivery = resolveDeliveryOption(fee, deliveryType || 'home', stopDeskId);
+    const { shipping, breakdown } = computeShipping({
+        fee, delivery, communeCode, lines, subtotal, rules: siteConfig.deliveryRules
+    });
+    return { shipping, deliveryType: delivery.deliveryType, stopDesk: delivery.stopDesk, shippingBreakdown: breakdown };
+};
+
+/**
+ * Finds an active promo code and computes its discount on the subtotal.
+ * @param {Array<object>} promoCodes - The tenant's `SiteConfig.promoCodes`.
+ * @param {string} code - The code entered by the customer.
+ * @param {number} subtotal - The cart subtotal.
+ * @returns {number} The discount amount.
+ */
+const computePromoDiscount = (promoCodes, code, subtotal) => {
+    const promo = (promoCodes || []).find(p =>
+        p.isActive && p.code.toUpperCase() === String(code).trim().toUpperCase()
+    );
+    if (!promo || (promo.expiresAt && promo.expiresAt < new Date())) {
+        throw httpError(400, 'Invalid or expired promo code.');
+    }
+    if (subtotal < (promo.minSubtotal || 0)) {
+        throw httpError(400, `Promo code ${promo.code} requires a minimum subtotal of ${promo.minSubtotal} DZD.`);
+    }
+    const discount = promo.type === 'percentage' ? subtotal * promo.value / 100 : promo.value;
+    return Math.min(roundAmount(discount), subtotal);
+};
+
+/**
+ * Loads the tenant's site configuration, falling back to schema defaults.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The site configuration (lean).
+ */
+const loadSiteConfig = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }).session(session || null).lean();
+    return siteConfig || new SiteConfig({ tenantId: tenantObjectId }).toObject();
+};
+
+/**
+ * Prices a cart entirely from server-side data.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} params.items - Cart lines with `productId`, `quantity`, `color` and `size`, and
+ * `skuId` for products with SKUs (otherwise the SKU is matched on color and size).
+ * @param {string} params.wilaya - The delivery wilaya (code or name).
+ * @param {number} [params.communeCode] - The delivery commune, for commune fee overrides.
+ * @param {string} [params.deliveryType] - 'home' (default) or 'stop_desk'.
+ * @param {string} [params.stopDeskId] - The chosen stop desk for 'stop_desk' delivery.
+ * @param {string} [params.promoCode] - An optional promo code.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} `{ lines, subtotal, shipping, discount, total, promoCode, deliveryType, stopDesk, shippingBreakdown, siteConfig }`.
+ */
+const priceOrder = async ({ tenantId, items, wilaya, communeCode, deliveryType, stopDeskId, promoCode, session }) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'The cart is empty.');
+    }
+    for (const item of items) {
+        if (!mongoose.isValidObjectId(item.productId)) {
+            throw httpError(400, `Invalid product ID: ${item.productId}.`);
+        }
+        if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1) {
+            throw httpError(400, 'Each cart line must have a quantity of at least 1.');
+        }
+    }
+
+    const productIds = [...new Set(items.map(item => String(item.productId)))];
+    const [products, siteConfig] = await Promise.all([
+        Product.find({ _id: { $in: productIds }, tenantId }).session(session || null).lean(),
+        loadSiteConfig(tenantId, session)
+    ]);
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    const lines = items.map(item => {
+        const product = productsById.get(String(item.productId));
+        if (!product) {
+            throw httpError(404, `Product with ID ${item.productId} not found for this client.`);
+        }
+        const quantity = Number(item.quantity);
+        if (!product.skus || product.skus.length === 0) {
+            return {
+                productId: product._id,
+                name: product.name,
+                quantity,
+                priceAtPurchase: product.price,
+                lineTotal: roundAmount(product.price * quantity),
+                color: item.color,
+                size: item.size,
+                product
+            };
+        }
+
+        const sku = findSku(product, item);
+        if (!sku) {
+            throw httpError(400, `Please choose an available variant of ${product.name}.`, {
+                productId: product._id,
+                skus: product.skus.map(candidate => ({ _id: candidate._id, options: candidate.options, available: getAvailable(candidate) > 0 }))
+            });
+        }
+        const options = getSkuOptions(sku);
+        const price = sku.price ?? product.price;
+        return {
+            productId: product._id,
+            name: product.name,
+            skuId: sku._id,
+            sku: sku.sku,
+            quantity,
+            priceAtPurchase: price,
+            lineTotal: roundAmount(price * quantity),
+            color: options.Color ?? item.color,
+            size: options.Size ?? item.size,
+            product,
+            skuRecord: sku
+        };
+    });
+
+    const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const delivery = priceDelivery({ siteConfig, lines, subtotal, wilaya, communeCode, deliveryType, stopDeskId });
+    const discount = promoCode ? computePromoDiscount(siteConfig.promoCodes, promoCode, subtotal) : 0;
+
+    return {
+        lines,
+        subtotal,
+        shipping: delivery.shipping,
+        discount,
+        total: roundAmount(subtotal - discount + delivery.shipping),
+        promoCode: promoCode ? String(promoCode).trim().toUpperCase() : null,
+        deliveryType: delivery.deliveryType,
+        stopDesk: delivery.stopDesk,
+        shippingBreakdown: delivery.shippingBreakdown,
+        siteConfig
+    };
+};
+
+/**
+ * Reprices the delivery of an existing order after its address or delivery option changed.
+ * Its lines keep the prices they were bought at. A new promo code is applied to the subtotal;
+ * otherwise the order keeps its discount, even if the code has expired since.
+ * @param {object} params
+ * @param {object} params.order - The order, with its new wilaya and commune.
+ * @param {string} [params.deliveryType] - The new delivery type; defaults to the order's.
+ * @param {string} [params.stopDeskId] - The new stop desk; defaults to the order's.
+ * @param {string|null} [params.promoCode] - A new promo code ('' or null removes it).
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} `{ subtotal, shipping, discount, total, promoCode, deliveryType, stopDesk, shippingBreakdown, siteConfig }`.
+ */
+const priceOrderDelivery = async ({ order, deliveryType, stopDeskId, promoCode, session }) => {
+    const productIds = [...new Set(order.products.map(line => String(line.productId)))];
+    const [products, siteConfig] = await Promise.all([
+        Product.find({ _id: { $in: productIds }, tenantId: order.tenantId }).session(session || null).lean(),
+        loadSiteConfig(order.tenantId, session)
+    ]);
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+    // Only needed for product surcharges; a deleted product no longer adds one.
+    const lines = order.products.map(line => ({ quantity: line.quantity, product: productsById.get(String(line.productId)) }));
+    const subtotal = roundAmount(order.products.reduce((sum, line) => sum + line.priceAtPurchase * line.quantity, 0));
+    const delivery = priceDelivery({
+        siteConfig,
+        lines,
+        subtotal,
+        wilaya: order.wilayaCode ?? order.wilaya,
+        communeCode: order.communeCode,
+        deliveryType: deliveryType ?? order.deliveryType,
+        stopDeskId: stopDeskId ?? order.stopDesk?.id
+    });
+
+    let code = order.pricing?.promoCode || null;
+    let discount = order.pricing?.discount || 0;
+    if (promoCode !== undefined) {
+        code = promoCode ? String(promoCode).trim().toUpperCase() : null;
+        discount = code ? computePromoDiscount(siteConfig.promoCodes, code, subtotal) : 0;
+    }
+
+    return {
+        subtotal,
+        shipping: delivery.shipping,
+        discount,
+        total: roundAmount(subtotal - discount + delivery.shipping),
+        promoCode: code,
+        deliveryType: delivery.deliveryType,
+        stopDesk: delivery.stopDesk,
+        shippingBreakdown: delivery.shippingBreakdown,
+        siteConfig
+    };
+};
+
+/**
+ * Stores a new price on an order, keeping `totalPrice` equal to `pricing.total`.
+ * The caller is responsible for saving.
+ * @param {object} order - The order document (not lean).
+ * @param {object} quote - The result of `priceOrder` or `priceOrderDelivery`.
+ */
+const applyOrderPricing = (order, quote) => {
+    order.set({
+        deliveryType: quote.deliveryType,
+        stopDesk: quote.stopDesk || { id: null, name: null, address: null, commune: null },
+        totalPrice: quote.total,
+        'pricing.subtotal': quote.subtotal,
+        'pricing.shipping': quote.shipping,
+        'pricing.discount': quote.discount,
+        'pricing.total': quote.total,
+        'pricing.promoCode': quote.promoCode
+    });
+};
+
+/**
+ * Validates the total the storefront displayed.
+ * @param {*} clientTotal - The `totalPrice` sent with the order.
+ * @returns {number|null} The total, or null if none was sent.
+ */
+const parseClientTotal = (clientTotal) => {
+    if (clientTotal === undefined || clientTotal === null || clientTotal === '') {
+        return null;
+    }
+    const total = typeof clientTotal === 'string' ? Number(clientTotal.trim()) : clientTotal;
+    if (typeof total !== 'number' || !Number.isFinite(total)) {
+        throw httpError(400, 'totalPrice must be a number.');
+    }
+    return total;
+};
+
+/**
+ * Compares the total computed by the storefront with the server total.
+ * @param {object} quote - The result of `priceOrder`.
+ * @param {number|null} [clientTotal] - The total the storefront displayed (see `parseClientTotal`).
+ * @returns {boolean} True if the client total is present and differs beyond the tenant's tolerance.
+ */
+const isClientTotalMismatch = (quote, clientTotal) => {
+    const total = parseClientTotal(clientTotal);
+    if (total === null) {
+        return false;
+    }
+    const tolerance = (quote.siteConfig.checkout && quote.siteConfig.checkout.priceTolerance) || 0;
+    return Math.abs(total - quote.total) > tolerance;
+};
+
+/**
+ * Builds the client-facing view of a quote, including per-line stock availability.
+ * Quantities of repeated lines for the same product (or SKU) are combined for the stock check.
+ * @param {object} quote - The result of `priceOrder`.
+ * @returns {object} `{ lines, subtotal, shipping, discount, total, promoCode, deliveryType, stopDesk, shippingBreakdown, inStock }`.
+ */
+const summarizeQuote = (quote) => {
+    const stockKey = (line) => (line.skuId ? `${line.productId}:${line.skuId}` : String(line.productId));
+    const requestedByProduct = new Map();
+    for (const line of quote.lines) {
+        const key = stockKey(line);
+        requestedByProduct.set(key, (requestedByProduct.get(key) || 0) + line.quantity);
+    }
+
+    const lines = quote.lines.map(line => {
+        const availableQuantity = getAvailable(line.skuRecord || line.product);
+        return {
+            productId: line.productId,
+            skuId: line.skuId,
+            name: line.name,
+            quantity: line.quantity,
+            unitPrice: line.priceAtPurchase,
+            lineTotal: line.lineTotal,
+            color: line.color,
+            size: line.size,
+            availableQuantity,
+            image: line.skuRecord?.image || undefined,
+            inStock: requestedByProduct.get(stockKey(line)) <= availableQuantity
+        };
+    });
+
+    return {
+        lines,
+        subtotal: quote.subtotal,
+        shipping: quote.shipping,
+        discount: quote.discount,
+        total: quote.total,
+        promoCode: quote.promoCode,
+        deliveryType: quote.deliveryType,
+        stopDesk: quote.stopDesk,
+        shippingBreakdown: quote.shippingBreakdown,
+        inStock: lines.every(line => line.inStock)
+    };
+};
+
+module.exports = {
+    DELIVERY_TYPES,
+    roundAmount,
+    normalizeName,
+    findDeliveryFee,
+    rekeyDeliveryFees,
+    resolveDeliveryOption,
+    getDeliveryTypes,
+    loadSiteConfig,
+    priceOrder,
+    priceOrderDelivery,
+    applyOrderPricing,
+    parseClientTotal,
+    isClientTotalMismatch,
+    summarizeQuote
+};
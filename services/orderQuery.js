@@ -0,0 +1,195 @@
+/**
+ * FILE: ./services/orderQuery.js
+ * DESC: Builds MongoDB filters, sorting and pagination for order listings from query strings.
+ *
+ * Shared by every endpoint that lists orders, so filters behave identically everywhere.
+ */
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { findWilaya } = require('./geo');
+const { httpError } = require('./httpError');
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'totalPrice', 'orderNumber', 'fullName', 'status', 'wilaya', 'commune', 'risk.score'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Escapes a user-provided string so it can be used literally inside a RegExp.
+ * @param {string} value - The raw search string.
+ * @returns {string} The escaped string.
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a comma-separated query value (or repeated query keys) into a clean list.
+ * @param {string|Array<string>} value - The raw query value.
+ * @returns {Array<string>} The list of values.
+ */
+const toList = (value) => [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Casts a user id filter. The literal "none" matches orders with no user set.
+ * @param {string} value - The raw query value.
+ * @param {string} field - The field name, used in the error message.
+ * @returns {mongoose.Types.ObjectId|null} The value to match.
+ */
+const toUserFilter = (value, field) => {
+    if (value === 'none') {
+        return null;
+    }
+    if (!mongoose.isValidObjectId(value)) {
+        throw httpError(400, `Invalid ${field} filter.`);
+    }
+    return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * Parses a date boundary. Date-only values for `to` include the whole day.
+ * @param {string} value - The raw date string.
+ * @param {boolean} endOfDay - Whether a date-only value should be moved to the end of the day.
+ * @returns {Date} The parsed date.
+ */
+const toDate = (value, endOfDay) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `Invalid date: ${value}.`);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+};
+
+/**
+ * Builds the MongoDB filter for an order listing.
+ * Supported query keys: status, from, to, wilaya, commune, source, tag, assignedTo, confirmedBy,
+ * needsReview, hold, riskLevel, search.
+ * @param {mongoose.Types.ObjectId} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} query - The request query string.
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreStatus] - Leave out the status filter (used for the per-status counts).
+ * @returns {object} The MongoDB filter. Values are already cast, so it is safe for aggregations.
+ */
+const buildOrderFilter = (tenantObjectId, query = {}, { ignoreStatus = false } = {}) => {
+    const filter = { tenantId: new mongoose.Types.ObjectId(String(tenantObjectId)) };
+
+    if (query.status && !ignoreStatus) {
+        const statuses = toList(query.status);
+        const invalid = statuses.filter(status => !ORDER_STATUSES.includes(status));
+        if (invalid.length) {
+            throw httpError(400, `Invalid status filter: ${invalid.join(', ')}.`);
+        }
+        filter.status = { $in: statuses };
+    }
+
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = toDate(query.from, false);
+        if (query.to) filter.createdAt.$lte = toDate(query.to, true);
+    }
+
+    if (query.wilaya) {
+        // A code or any spelling also matches the canonical name that validated orders store.
+        const names = toList(query.wilaya).flatMap(value => [value, findWilaya(value)?.name].filter(Boolean));
+        filter.wilaya = { $in: [...new Set(names)].map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) };
+    }
+    if (query.commune) {
+        filter.commune = { $in: toList(query.commune).map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) };
+    }
+    if (query.source) {
+        filter.source = { $in: toList(query.source) };
+    }
+    if (query.tag) {
+        filter.tags = { $in: toList(query.tag).map(tag => tag.toLowerCase()) };
+    }
+    if (query.assignedTo) {
+        filter.assignedTo = toUserFilter(query.assignedTo, 'assignedTo');
+    }
+    if (query.confirmedBy) {
+        filter.confirmedBy = toUserFilter(query.confirmedBy, 'confirmedBy');
+    }
+
+    if (query.needsReview !== undefined && query.needsReview !== '') {
+        filter['risk.needsReview'] = query.needsReview === 'true';
+    }
+    if (query.hold !== undefined && query.hold !== '') {
+        filter['risk.hold'] = query.hold === 'true';
+    }
+    if (query.riskLevel) {
+        filter['risk.level'] = { $in: toList(query.riskLevel) };
+    }
+
+    // Free-text search over order number, customer name and phone.
+    if (query.search) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+        filter.$or = [{ orderNumber: pattern }, { fullName: pattern }, { phoneNumber: pattern }];
+    }
+
+    return filter;
+};
+
+/**
+ * Parses the `sort` query value, e.g. "-createdAt" or "totalPrice".
+ * @param {string} [value] - The raw sort value. Defaults to newest first.
+ * @returns {object} The MongoDB sort specification.
+ */
+const buildOrderSort = (value) => {
+    if (!value) {
+        return { createdAt: -1 };
+    }
+    if (typeof value !== 'string') {
+        throw httpError(400, 'Orders can only be sorted by one field.');
+    }
+    const descending = value.startsWith('-');
+    const field = descending ? value.slice(1) : value;
+    if (!SORTABLE_FIELDS.includes(field)) {
+        throw httpError(400, `Orders cannot be sorted by "${field}". Allowed: ${SORTABLE_FIELDS.join(', ')}.`);
+    }
+    // _id is a tie-breaker so pages stay stable when many orders share the same value.
+    return { [field]: descending ? -1 : 1, _id: descending ? -1 : 1 };
+};
+
+/**
+ * Parses `page` and `limit` query values.
+ * @param {object} query - The request query string.
+ * @returns {{ page: number, limit: number, skip: number }} The pagination settings.
+ */
+const parsePagination = (query = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Counts orders per status for the dashboard tab badges.
+ * @param {object} filter - A filter built with `ignoreStatus: true`.
+ * @returns {Promise<object>} `{ all, pending, confirmed, ... }`.
+ */
+const countOrdersByStatus = async (filter) => {
+    const rows = await Order.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = { all: 0 };
+    for (const status of ORDER_STATUSES) {
+        counts[status] = 0;
+    }
+    for (const row of rows) {
+        counts[row._id] = row.count;
+        counts.all += row.count;
+    }
+    return counts;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    escapeRegex,
+    buildOrderFilter,
+    buildOrderSort,
+    parsePagination,
+    countOrdersByStatus
+};
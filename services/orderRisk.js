@@ -0,0 +1,155 @@
+/**
+ * FILE: ./services/orderRisk.js
+ * DESC: Risk scoring of new orders (fake and duplicate COD orders).
+ *
+ * Each signal adds points to a 0-100 score. Orders at or above the tenant's
+ * `SiteConfig.riskSettings.reviewThreshold` are flagged with `risk.needsReview`.
+ */
+const Order = require('../models/Order');
+const { findWilaya, findCommune } = require('./geo');
+const { checkPhoneReputation } = require('./phoneReputation');
+
+const DEFAULT_RISK_SETTINGS = {
+    enabled: true,
+    reviewThreshold: 50,
+    duplicateWindowMinutes: 10,
+    maxOrdersPerWindow: 3,
+    minDeliveryHistory: 2
+};
+
+// Common keyboard runs found in made-up names.
+const KEYBOARD_RUNS = ['qwert', 'asdf', 'zxcv', 'azert', 'qsdf', 'wxcv', 'hjkl'];
+
+/**
+ * Heuristically checks whether a customer name looks made up.
+ * Names written in Arabic script only get the structural checks.
+ * @param {string} name - The customer name.
+ * @returns {string|null} The reason, or null if the name looks plausible.
+ */
+const detectGibberishName = (name) => {
+    const value = String(name || '').trim().toLowerCase();
+    const letters = value.replace(/[^\p{L}]/gu, '');
+
+    if (letters.length < 3) {
+        return 'Name is too short.';
+    }
+    if (/\d/.test(value)) {
+        return 'Name contains digits.';
+    }
+    if (/(.)\1{3,}/u.test(letters)) {
+        return 'Name repeats the same character.';
+    }
+    if (/^[a-z]+$/.test(letters)) {
+        if (!/[aeiouy]/.test(letters)) {
+            return 'Name has no vowels.';
+        }
+        if (/[bcdfghjklmnpqrstvwxz]{5,}/.test(letters)) {
+            return 'Name has an unpronounceable run of consonants.';
+        }
+        if (KEYBOARD_RUNS.some(run => letters.includes(run))) {
+            return 'Name looks like a keyboard sequence.';
+        }
+    }
+    return null;
+};
+
+/**
+ * Scores a new (unsaved) order.
+ * @param {object} params
+ * @param {object} params.order - The order document.
+ * @param {object} params.siteConfig - The tenant's site configuration.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} The value for `order.risk`.
+ */
+const assessOrderRisk = async ({ order, siteConfig, session }) => {
+    const settings = { ...DEFAULT_RISK_SETTINGS, ...(siteConfig?.riskSettings || {}) };
+    const reasons = [];
+    const addReason = (code, points, message) => reasons.push({ code, points, message });
+
+    if (settings.enabled) {
+        const since = new Date(Date.now() - settings.duplicateWindowMinutes * 60 * 1000);
+        const productIds = order.products.map(line => line.productId);
+        const [recentOrders, history] = await Promise.all([
+            Order.find(
+                { tenantId: order.tenantId, phoneNumber: order.phoneNumber, createdAt: { $gte: since }, _id: { $ne: order._id } },
+                'products.productId'
+            ).session(session || null).lean(),
+            Order.aggregate([
+                { $match: { tenantId: order.tenantId, phoneNumber: order.phoneNumber, status: { $in: ['delivered', 'returned'] } } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]).session(session || null)
+        ]);
+
+        // Same phone ordering the same product again within the window.
+        const sameProductOrders = recentOrders.filter(recent =>
+            recent.products.some(line => productIds.some(id => String(id) === String(line.productId)))
+        ).length;
+        if (sameProductOrders > 0) {
+            addReason('duplicate_product', Math.min(sameProductOrders * 25, 50),
+                `${sameProductOrders} other order(s) for the same product from this phone in the last ${settings.duplicateWindowMinutes} minutes.`);
+        }
+        if (recentOrders.length + 1 >= settings.maxOrdersPerWindow) {
+            addReason('order_burst', 20,
+                `${recentOrders.length + 1} orders from this phone in the last ${settings.duplicateWindowMinutes} minutes.`);
+        }
+
+        // The phone's past delivery record with this tenant.
+        const delivered = history.find(row => row._id === 'delivered')?.count || 0;
+        const returned = history.find(row => row._id === 'returned')?.count || 0;
+        if (returned > 0 && delivered + returned >= settings.minDeliveryHistory) {
+            const returnRate = returned / (delivered + returned);
+            addReason('return_history', Math.round(returnRate * 40),
+                `Customer returned ${returned} of ${delivered + returned} past deliveries.`);
+        }
+
+        const nameIssue = detectGibberishName(order.fullName);
+        if (nameIssue) {
+            addReason('suspicious_name', 15, nameIssue);
+        }
+
+        const wilaya = findWilaya(order.wilayaCode || order.wilaya);
+        if (!wilaya) {
+            addReason('unknown_location', 15, `Unknown wilaya: ${order.wilaya}.`);
+        } else if (!findCommune(wilaya, order.communeCode || order.commune)) {
+            addReason('unknown_location', 15, `Commune "${order.commune}" is not in wilaya ${wilaya.name}.`);
+        }
+    }
+
+    // The platform-wide blacklist, for tenants that opted in.
+    const reputation = await checkPhoneReputation({
+        tenantId: order.tenantId,
+        phone: order.phoneNumber,
+        settings: siteConfig?.sharedBlacklist,
+        session
+    });
+    if (reputation?.flagged) {
+        addReason('shared_blacklist', 50,
+            `This number failed ${reputation.failures} deliveries across ${reputation.tenantCount} shop(s) on the platform.`);
+    }
+
+    if (order.pricing?.mismatch) {
+        addReason('price_mismatch', 0, 'The storefront total did not match the server total.');
+    }
+
+    const score = Math.min(reasons.reduce((sum, reason) => sum + reason.points, 0), 100);
+    let level = 'low';
+    if (score >= settings.reviewThreshold) {
+        level = 'high';
+    } else if (score >= settings.reviewThreshold / 2) {
+        level = 'medium';
+    }
+
+    return {
+        score,
+        level,
+        reasons,
+        needsReview: score >= settings.reviewThreshold || Boolean(order.pricing?.mismatch) || Boolean(reputation?.flagged),
+        hold: Boolean(reputation?.flagged && reputation.autoHold),
+        sharedBlacklist: reputation
+            ? { flagged: reputation.flagged, failures: reputation.failures, deliveries: reputation.deliveries, tenantCount: reputation.tenantCount }
+            : undefined,
+        evaluatedAt: new Date()
+    };
+};
+
+module.exports = { DEFAULT_RISK_SETTINGS, detectGibberishName, assessOrderRisk };
@@ -0,0 +1,333 @@
+/**
+ * FILE: ./services/orderStatus.js
+ * DESC: The order status state machine and its stock side effects.
+ *
+ * Every status change goes through `changeOrderStatus`, which rejects transitions that
+ * are not in the tenant's graph or not open to the staff member's role, and keeps the
+ * order's stock in sync (`order.stockState`):
+ * - unconfirmed orders (pending, tentative) reserve their stock, if the tenant's
+ *   `SiteConfig.stockReservation` is enabled; otherwise stock is deducted right away;
+ * - moving on (confirmed, dispatched...) turns the reservation into a deduction;
+ * - moving into a stock-releasing status (cancelled, returned) releases the reservation
+ *   or restores the deducted stock;
+ * - reviving an order out of one of those statuses takes the stock again.
+ * Reservations that are not confirmed in time are released by services/stockReservations.js;
+ * such orders only deduct stock once confirmed. Deductions and restorations are recorded in
+ * the stock ledger against the order.
+ * Delivered and returned outcomes are also reported to the shared blacklist, and leaving
+ * the confirmation queue releases the order's queue lock.
+ */
+const SiteConfig = require('../models/sitecontroll');
+const { deductStock, restoreStock, reserveStock, releaseReservation, commitReservation } = require('./inventory');
+const { orderReference } = require('./stockLedger');
+const { reportDeliveryOutcome } = require('./phoneReputation');
+const { QUEUE_STATUSES, releaseLock } = require('./confirmationQueue');
+const { httpError } = require('./httpError');
+
+// Default transition graph. Tenants can override the allowed targets of any status
+// through `SiteConfig.orderWorkflow.transitions`.
+const DEFAULT_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled', 'tentative'],
+    tentative: ['confirmed', 'cancelled', 'pending'],
+    confirmed: ['dispatched', 'cancelled'],
+    dispatched: ['delivered', 'returned'],
+    delivered: ['returned'],
+    returned: [],
+    cancelled: ['pending']
+};
+
+// Staff roles allowed to move an order into a status. Delivery outcomes are settled by couriers
+// (webhooks, tracking) or admins, as they are reported to the shared blacklist. Statuses without
+// an entry are open to every role that can reach the status routes; changes made without a staff
+// member (courier, customer, scheduler) are not restricted. Tenants can override any entry
+// through `SiteConfig.orderWorkflow.statusRoles`.
+const DEFAULT_STATUS_ROLES = {
+    delivered: ['admin'],
+    returned: ['admin']
+};
+
+// Orders in these statuses do not hold any stock.
+const STOCK_RELEASED_STATUSES = ['cancelled', 'returned'];
+
+// Orders in these statuses reserve their stock rather than deducting it.
+const RESERVING_STATUSES = ['pending', 'tentative'];
+
+const DEFAULT_RESERVATION_SETTINGS = { enabled: true, ttlHours: 72 };
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Merges a tenant's overrides into the default transition graph.
+ * @param {object|Map} [overrides] - `SiteConfig.orderWorkflow.transitions`.
+ * @returns {object} The effective graph, keyed by status.
+ */
+const resolveTransitions = (overrides) => {
+    const transitions = { ...DEFAULT_TRANSITIONS };
+    const entries = overrides instanceof Map ? overrides.entries() : Object.entries(overrides || {});
+    for (const [status, targets] of entries) {
+        if (transitions[status]) {
+            transitions[status] = [...targets];
+        }
+    }
+    return transitions;
+};
+
+/**
+ * Loads the effective transition graph for a tenant.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The effective graph, keyed by status.
+ */
+const getTenantTransitions = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'orderWorkflow')
+        .session(session || null)
+        .lean();
+    return resolveTransitions(siteConfig?.orderWorkflow?.transitions);
+};
+
+/**
+ * Merges a tenant's overrides into the default roles per status.
+ * @param {object|Map} [overrides] - `SiteConfig.orderWorkflow.statusRoles`.
+ * @returns {object} The effective roles, keyed by status (statuses open to every role are left out).
+ */
+const resolveStatusRoles = (overrides) => {
+    const statusRoles = { ...DEFAULT_STATUS_ROLES };
+    const entries = overrides instanceof Map ? overrides.entries() : Object.entries(overrides || {});
+    for (const [status, roles] of entries) {
+        if (Object.prototype.hasOwnProperty.call(DEFAULT_TRANSITIONS, status)) {
+            statusRoles[status] = [...roles];
+        }
+    }
+    return statusRoles;
+};
+
+/**
+ * Loads the effective roles per status for a tenant.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The effective roles, keyed by status.
+ */
+const getTenantStatusRoles = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'orderWorkflow')
+        .session(session || null)
+        .lean();
+    return resolveStatusRoles(siteConfig?.orderWorkflow?.statusRoles);
+};
+
+/**
+ * Rejects a staff member whose role may not move orders into a status (403).
+ * Changes made without a staff member are not restricted.
+ * @param {object} params
+ * @param {string} params.status - The requested status.
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {object} params.statusRoles - The effective roles per status.
+ */
+const assertStatusRole = ({ status, user, statusRoles }) => {
+    const roles = statusRoles[status];
+    if (user && roles && !roles.includes(user.role)) {
+        throw httpError(403, `Your role cannot move orders to "${status}".`, { allowedRoles: roles });
+    }
+};
+
+/**
+ * Whether an order in the given status currently holds stock.
+ * @param {string} status - The order status.
+ * @returns {boolean}
+ */
+const holdsStock = (status) => !STOCK_RELEASED_STATUSES.includes(status);
+
+/**
+ * How an order currently holds its stock: 'reserved', 'deducted', 'released', or 'untracked'
+ * for imported orders that never took any. Orders placed before reservations have no
+ * `stockState`: they hold deducted stock unless cancelled or returned.
+ * @param {object} order - The order.
+ * @returns {string}
+ */
+const getStockState = (order) => order.stockState || (holdsStock(order.status) ? 'deducted' : 'released');
+
+/**
+ * Loads a tenant's stock reservation settings.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} `SiteConfig.stockReservation` with defaults applied.
+ */
+const getReservationSettings = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'stockReservation')
+        .session(session || null)
+        .lean();
+    return { ...DEFAULT_RESERVATION_SETTINGS, ...(siteConfig?.stockReservation || {}) };
+};
+
+/**
+ * Takes the stock of an order that holds none: reserved while it is unconfirmed (if the tenant
+ * reserves stock), deducted otherwise. Orders in a stock-releasing status take nothing.
+ * Throws a 409 if any line is short. The caller is responsible for saving.
+ * @param {object} params
+ * @param {object} params.order - The order document (not lean).
+ * @param {string} [params.status] - The status the stock is taken for; defaults to the order's.
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {string} [params.note] - A ledger note for deductions.
+ * @param {object} [params.settings] - Pre-loaded `SiteConfig.stockReservation`.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const takeOrderStock = async ({ order, status = order.status, user, note, settings, session }) => {
+    order.reservationExpiresAt = null;
+    if (!holdsStock(status)) {
+        order.stockState = 'released';
+        return;
+    }
+    if (RESERVING_STATUSES.includes(status)) {
+        const reservation = settings
+            ? { ...DEFAULT_RESERVATION_SETTINGS, ...settings }
+            : await getReservationSettings(order.tenantId, session);
+        if (reservation.enabled) {
+            await reserveStock(order.tenantId, order.products, session);
+            order.stockState = 'reserved';
+            if (reservation.ttlHours > 0) {
+                order.reservationExpiresAt = new Date(Date.now() + reservation.ttlHours * HOUR_MS);
+            }
+            return;
+        }
+    }
+    await deductStock(order.tenantId, order.products, session, { type: 'sale', reference: orderReference(order), user, note });
+    order.stockState = 'deducted';
+};
+
+/**
+ * Gives back the stock an order holds: releases its reservation or restores its deducted stock.
+ * The caller is responsible for saving.
+ * @param {object} params
+ * @param {object} params.order - The order document (not lean).
+ * @param {string} [params.type] - The ledger movement type of a restoration ('cancellation_restore' or 'return').
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {string} [params.note] - A ledger note.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const releaseOrderStock = async ({ order, type = 'cancellation_restore', user, note, session }) => {
+    const state = getStockState(order);
+    if (state === 'untracked') {
+        return;
+    }
+    if (state === 'reserved') {
+        await releaseReservation(order.tenantId, order.products, session);
+    } else if (state === 'deducted') {
+        await restoreStock(order.tenantId, order.products, session, { type, reference: orderReference(order), user, note });
+    }
+    order.stockState = 'released';
+    order.reservationExpiresAt = null;
+};
+
+/**
+ * Replaces the lines of an order, moving the stock it holds from its old lines to the new ones.
+ * A reservation keeps its expiry. Orders that hold no stock only get the new lines.
+ * Throws a 409 if a new line is short. The caller is responsible for saving.
+ * @param {object} params
+ * @param {object} params.order - The order document (not lean).
+ * @param {Array<object>} params.lines - The new lines (`Order.products`).
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const replaceOrderLines = async ({ order, lines, user, session }) => {
+    const state = getStockState(order);
+    if (state !== 'reserved' && state !== 'deducted') {
+        order.products = lines;
+        return;
+    }
+    const expiresAt = order.reservationExpiresAt;
+    const note = 'Order lines edited.';
+    await releaseOrderStock({ order, user, note, session });
+    order.products = lines;
+    await takeOrderStock({ order, user, note, session });
+    if (state === 'reserved' && order.stockState === 'reserved') {
+        order.reservationExpiresAt = expiresAt;
+    }
+};
+
+/**
+ * Moves an order's stock into the state its new status requires.
+ * @param {object} params
+ * @param {object} params.order - The order document, still in its previous status.
+ * @param {string} params.status - The new status.
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const syncOrderStock = async ({ order, status, user, session }) => {
+    const from = order.status;
+    const state = getStockState(order);
+    if (state === 'untracked') {
+        return;
+    }
+    if (!holdsStock(status)) {
+        await releaseOrderStock({ order, type: status === 'returned' ? 'return' : 'cancellation_restore', user, session });
+    } else if (state === 'reserved' && !RESERVING_STATUSES.includes(status)) {
+        await commitReservation(order.tenantId, order.products, session, { reference: orderReference(order), user });
+        order.stockState = 'deducted';
+        order.reservationExpiresAt = null;
+    } else if (state === 'released' && (!holdsStock(from) || !RESERVING_STATUSES.includes(status))) {
+        // Revived orders take their stock again; one whose reservation expired only once it is confirmed.
+        await takeOrderStock({ order, status, user, note: `Order moved from ${from} to ${status}.`, session });
+    }
+};
+
+/**
+ * Applies a status change to an order document, enforcing the tenant's transition graph and
+ * roles, and reserving, deducting or giving back stock as needed. The caller is responsible for saving.
+ * @param {object} params
+ * @param {object} params.order - The order document (not lean).
+ * @param {string} params.status - The requested status.
+ * @param {object} [params.user] - The staff member making the change.
+ * @param {object} [params.transitions] - A pre-loaded graph; loaded from the tenant otherwise.
+ * @param {object} [params.statusRoles] - Pre-loaded roles per status; loaded from the tenant otherwise.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} The order document.
+ */
+const changeOrderStatus = async ({ order, status, user, transitions, statusRoles, session }) => {
+    const graph = transitions || await getTenantTransitions(order.tenantId, session);
+    const from = order.status;
+    const allowed = graph[from] || [];
+
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_TRANSITIONS, status)) {
+        throw httpError(400, `Invalid order status: ${status}.`);
+    }
+    if (!allowed.includes(status)) {
+        throw httpError(400, `Cannot change order status from "${from}" to "${status}".`, { allowedStatuses: allowed });
+    }
+    if (user) {
+        assertStatusRole({ status, user, statusRoles: statusRoles || await getTenantStatusRoles(order.tenantId, session) });
+    }
+
+    await syncOrderStock({ order, status, user, session });
+
+    order.status = status;
+    order.statusTimestamps.set(status, new Date());
+    if (status === 'confirmed' && user) {
+        order.confirmedBy = user._id;
+        order.confirmedVia = 'staff';
+    }
+    if (status === 'delivered' || status === 'returned') {
+        await reportDeliveryOutcome({ order, outcome: status, session });
+    }
+    if (!QUEUE_STATUSES.includes(status)) {
+        releaseLock(order);
+        order.queue.callbackAt = null;
+    }
+    return order;
+};
+
+module.exports = {
+    DEFAULT_TRANSITIONS,
+    DEFAULT_STATUS_ROLES,
+    STOCK_RELEASED_STATUSES,
+    RESERVING_STATUSES,
+    resolveTransitions,
+    getTenantTransitions,
+    resolveStatusRoles,
+    getTenantStatusRoles,
+    assertStatusRole,
+    holdsStock,
+    getStockState,
+    getReservationSettings,
+    takeOrderStock,
+    releaseOrderStock,
+    replaceOrderLines,
+    changeOrderStatus
+};
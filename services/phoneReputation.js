@@ -0,0 +1,210 @@
+/**
+ * FILE: ./services/phoneReputation.js
+ * DESC: The platform-wide shared blacklist of customers who refuse or return COD orders.
+ *
+ * Tenants opt in through `SiteConfig.sharedBlacklist.enabled`. Opted-in tenants feed
+ * their delivery outcomes into `PhoneReputation` and see a warning (or an automatic hold)
+ * on new orders from flagged numbers. Tenants only ever see aggregate counts, never
+ * which shops reported a number or anything about their orders.
+ */
+const SiteConfig = require('../models/sitecontroll');
+const { httpError } = require('./httpError');
+const PhoneReputation = require('../models/PhoneReputation');
+const ReputationReport = require('../models/ReputationReport');
+
+// A number is flagged automatically once it has at least this many failed deliveries
+// and at least this share of its deliveries failed.
+const FLAG_MIN_FAILURES = 3;
+const FLAG_MIN_FAILURE_RATE = 0.5;
+
+const DEFAULT_SHARED_BLACKLIST_SETTINGS = {
+    enabled: false,
+    autoHold: false,
+    minFailures: FLAG_MIN_FAILURES
+};
+
+/**
+ * Normalizes an Algerian phone number to its local form ("+213 555-12-34-56" -> "0555123456").
+ * @param {string} phone - The raw phone number.
+ * @returns {string} The normalized number.
+ */
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.startsWith('00213')) {
+        return `0${digits.slice(5)}`;
+    }
+    if (digits.startsWith('213') && digits.length === 12) {
+        return `0${digits.slice(3)}`;
+    }
+    return digits;
+};
+
+/**
+ * The forms a number can be stored in on orders ("0555123456" and "+213555123456").
+ * @param {string} phone - The raw phone number.
+ * @returns {Array<string>} The stored forms.
+ */
+const phoneVariants = (phone) => {
+    const normalized = normalizePhone(phone);
+    return normalized.startsWith('0') ? [normalized, `+213${normalized.slice(1)}`] : [normalized];
+};
+
+/**
+ * Loads a tenant's shared blacklist settings.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The settings, with defaults applied.
+ */
+const getSharedBlacklistSettings = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'sharedBlacklist')
+        .session(session || null)
+        .lean();
+    return { ...DEFAULT_SHARED_BLACKLIST_SETTINGS, ...(siteConfig?.sharedBlacklist || {}) };
+};
+
+/**
+ * Whether a reputation entry counts as blacklisted.
+ * @param {object} reputation - The `PhoneReputation` entry.
+ * @param {number} [minFailures] - The tenant's own failure threshold.
+ * @returns {boolean}
+ */
+const isFlagged = (reputation, minFailures = FLAG_MIN_FAILURES) => {
+    if (reputation.status !== 'auto') {
+        return reputation.status === 'blacklisted';
+    }
+    const failures = reputation.returnedCount + reputation.refusedCount;
+    const total = failures + reputation.deliveredCount;
+    return failures >= Math.max(minFailures, 1) && failures / total >= FLAG_MIN_FAILURE_RATE;
+};
+
+/**
+ * The tenant-safe view of a reputation entry (aggregate counts only).
+ * @param {object|null} reputation - The `PhoneReputation` entry.
+ * @param {string} phone - The normalized phone number.
+ * @param {number} [minFailures] - The tenant's own failure threshold.
+ * @returns {object} `{ phone, flagged, failures, deliveries, tenantCount, hasOpenDispute }`.
+ */
+const toTenantView = (reputation, phone, minFailures) => {
+    if (!reputation) {
+        return { phone, flagged: false, failures: 0, deliveries: 0, tenantCount: 0, hasOpenDispute: false };
+    }
+    return {
+        phone,
+        flagged: isFlagged(reputation, minFailures),
+        failures: reputation.returnedCount + reputation.refusedCount,
+        deliveries: reputation.deliveredCount,
+        tenantCount: reputation.tenantCount,
+        hasOpenDispute: (reputation.disputes || []).some(dispute => dispute.status === 'open')
+    };
+};
+
+/**
+ * Looks up a phone number for a tenant. Returns null when the tenant has not opted in.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.phone - The raw phone number.
+ * @param {object} [params.settings] - Pre-loaded shared blacklist settings.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object|null>} The tenant view plus the tenant's `autoHold` setting.
+ */
+const checkPhoneReputation = async ({ tenantId, phone, settings, session }) => {
+    const resolvedSettings = settings
+        ? { ...DEFAULT_SHARED_BLACKLIST_SETTINGS, ...settings }
+        : await getSharedBlacklistSettings(tenantId, session);
+    if (!resolvedSettings.enabled) {
+        return null;
+    }
+    const normalized = normalizePhone(phone);
+    const reputation = await PhoneReputation.findOne({ phone: normalized }).session(session || null).lean();
+    return {
+        ...toTenantView(reputation, normalized, resolvedSettings.minFailures),
+        autoHold: resolvedSettings.autoHold
+    };
+};
+
+/**
+ * Reports a delivery outcome of an order to the shared store, if its tenant has opted in.
+ * Reporting the same order and outcome twice has no effect. An order only counts once, with its
+ * latest outcome: a delivered order later returned stops counting as a delivery.
+ * @param {object} params
+ * @param {object} params.order - The order document.
+ * @param {string} params.outcome - 'delivered', 'returned' or 'refused'.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<boolean>} True if the outcome was recorded.
+ */
+const reportDeliveryOutcome = async ({ order, outcome, session }) => {
+    const settings = await getSharedBlacklistSettings(order.tenantId, session);
+    if (!settings.enabled) {
+        return false;
+    }
+    // Checked up front: a duplicate key error would abort the surrounding transaction.
+    const alreadyReported = await ReputationReport.exists({ orderId: order._id, outcome }).session(session || null);
+    if (alreadyReported) {
+        return false;
+    }
+
+    const previousReports = await ReputationReport.find({ orderId: order._id, outcome: { $ne: outcome } })
+        .session(session || null)
+        .lean();
+    for (const previous of previousReports) {
+        await ReputationReport.deleteOne({ _id: previous._id }, { session });
+        await PhoneReputation.updateOne({ phone: previous.phone }, { $inc: { [`${previous.outcome}Count`]: -1 } }, { session });
+    }
+
+    const phone = normalizePhone(order.phoneNumber);
+    await ReputationReport.create([{ phone, tenantId: order.tenantId, orderId: order._id, outcome }], { session });
+    const reputation = await PhoneReputation.findOneAndUpdate(
+        { phone },
+        {
+            $inc: { [`${outcome}Count`]: 1 },
+            $addToSet: { reportingTenants: order.tenantId },
+            $set: { lastReportedAt: new Date() }
+        },
+        { new: true, upsert: true, session, projection: { reportingTenants: 1 } }
+    );
+    await PhoneReputation.updateOne(
+        { _id: reputation._id },
+        { $set: { tenantCount: reputation.reportingTenants.length } },
+        { session }
+    );
+    return true;
+};
+
+/**
+ * Opens a dispute against a number's blacklisting, for a super admin to review.
+ * @param {object} params
+ * @param {string} params.tenantId - The reporting tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.phone - The raw phone number.
+ * @param {string} params.reason - Why the number should be removed.
+ * @param {string} [params.contact] - How the customer or the shop can be reached.
+ * @returns {Promise<object>} The new dispute.
+ */
+const openDispute = async ({ tenantId, phone, reason, contact }) => {
+    if (!reason || !String(reason).trim()) {
+        throw httpError(400, 'A reason is required to dispute a number.');
+    }
+    const normalized = normalizePhone(phone);
+    const reputation = await PhoneReputation.findOne({ phone: normalized });
+    if (!reputation) {
+        throw httpError(404, 'This number is not on the shared blacklist.');
+    }
+    if (reputation.disputes.some(dispute => dispute.status === 'open')) {
+        throw httpError(409, 'A dispute for this number is already under review.');
+    }
+    reputation.disputes.push({ reportedBy: tenantId, reason, contact });
+    await reputation.save();
+    return reputation.disputes[reputation.disputes.length - 1];
+};
+
+module.exports = {
+    FLAG_MIN_FAILURES,
+    FLAG_MIN_FAILURE_RATE,
+    normalizePhone,
+    phoneVariants,
+    getSharedBlacklistSettings,
+    isFlagged,
+    toTenantView,
+    checkPhoneReputation,
+    reportDeliveryOutcome,
+    openDispute
+};
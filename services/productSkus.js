@@ -0,0 +1,185 @@
+/**
+ * FILE: ./services/productSkus.js
+ * DESC: Per-variant stock keeping units (SKUs) of products.
+ *
+ * A product with `skus` keeps its stock per variant combination (e.g. Color: Red, Size: M),
+ * each with an optional barcode, price override and image. Its `quantity` is then the sum of
+ * its SKUs' quantities (kept in sync by the model and services/inventory.js). Order lines
+ * point to their SKU with `skuId`; a line without one is matched on its `color` and `size`.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { httpError } = require('./httpError');
+
+/**
+ * Compares two option values, ignoring case and surrounding spaces.
+ * @param {string} a - The first value.
+ * @param {string} b - The second value.
+ * @returns {boolean}
+ */
+const sameOption = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * The options of a SKU as a plain object (Maps come back as objects from lean queries).
+ * @param {object} sku - The SKU.
+ * @returns {object} `{ optionName: value }`.
+ */
+const getSkuOptions = (sku) => (sku.options instanceof Map ? Object.fromEntries(sku.options) : sku.options || {});
+
+/**
+ * The stock of a product (or SKU) that can still be sold: on hand minus what unconfirmed
+ * orders reserve (see services/inventory.js).
+ * @param {object} record - The product or SKU.
+ * @returns {number}
+ */
+const getAvailable = (record) => Math.max((record.quantity || 0) - (record.reserved || 0), 0);
+
+/**
+ * Finds the SKU of a product an order line refers to.
+ * @param {object} product - The product.
+ * @param {object} selection - `{ skuId }`, or `{ color, size }` to match on the SKU options.
+ * @returns {object|null} The SKU, or null if none matches.
+ */
+const findSku = (product, { skuId, color, size }) => {
+    const skus = product.skus || [];
+    if (skuId) {
+        return skus.find(sku => String(sku._id) === String(skuId)) || null;
+    }
+    const selected = { color, size };
+    return skus.find(sku => Object.entries(getSkuOptions(sku))
+        .every(([name, value]) => sameOption(selected[name.toLowerCase()], value))) || null;
+};
+
+/**
+ * Validates the SKUs sent for a product and returns them ready to store.
+ * Existing SKUs must be sent back with their `_id`, so order lines keep pointing to them.
+ * @param {Array<object>|string} rawSkus - The SKUs, possibly as a JSON string (multipart forms).
+ * @param {Array<object>} variants - The product's `variants` (`{ name, options }`).
+ * @returns {Array<object>} The SKUs.
+ */
+const parseSkus = (rawSkus, variants = []) => {
+    let skus = rawSkus;
+    if (typeof skus === 'string') {
+        try {
+            skus = JSON.parse(skus);
+        } catch (error) {
+            throw httpError(400, 'Invalid format for skus. Must be a valid JSON array.');
+        }
+    }
+    if (!Array.isArray(skus)) {
+        throw httpError(400, 'Invalid format for skus. Must be a valid JSON array.');
+    }
+
+    const combinations = new Set();
+    const barcodes = new Set();
+    return skus.map((sku, index) => {
+        const label = `SKU ${index + 1}`;
+        const options = {};
+        for (const [name, value] of Object.entries(sku.options || {})) {
+            const variant = variants.find(candidate => sameOption(candidate.name, name));
+            if (!variant) {
+                throw httpError(400, `${label}: the product has no "${name}" variant.`);
+            }
+            const option = variant.options.find(candidate => sameOption(candidate, value));
+            if (!option) {
+                throw httpError(400, `${label}: "${value}" is not an option of ${variant.name}.`);
+            }
+            options[variant.name] = option;
+        }
+        if (Object.keys(options).length === 0) {
+            throw httpError(400, `${label}: at least one variant option is required.`);
+        }
+        const combination = JSON.stringify(Object.entries(options).sort(([a], [b]) => a.localeCompare(b)));
+        if (combinations.has(combination)) {
+            throw httpError(400, `${label}: this variant combination is listed twice.`);
+        }
+        combinations.add(combination);
+
+        const quantity = Number(sku.quantity ?? 0);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw httpError(400, `${label}: quantity must be a non-negative integer.`);
+        }
+        const hasPrice = sku.price !== undefined && sku.price !== null && sku.price !== '';
+        if (hasPrice && !(Number(sku.price) >= 0)) {
+            throw httpError(400, `${label}: price must be a non-negative number.`);
+        }
+        const hasThreshold = sku.reorderThreshold !== undefined && sku.reorderThreshold !== null && sku.reorderThreshold !== '';
+        if (hasThreshold && !(Number.isInteger(Number(sku.reorderThreshold)) && Number(sku.reorderThreshold) >= 0)) {
+            throw httpError(400, `${label}: reorder threshold must be a non-negative integer.`);
+        }
+        const barcode = sku.barcode ? String(sku.barcode).trim() : undefined;
+        if (barcode) {
+            if (barcodes.has(barcode)) {
+                throw httpError(400, `${label}: barcode ${barcode} is used by another SKU.`);
+            }
+            barcodes.add(barcode);
+        }
+        if (sku._id && !mongoose.isValidObjectId(sku._id)) {
+            throw httpError(400, `${label}: invalid SKU ID.`);
+        }
+
+        return {
+            ...(sku._id ? { _id: sku._id } : {}),
+            sku: sku.sku ? String(sku.sku).trim() : undefined,
+            options,
+            quantity,
+            barcode,
+            price: hasPrice ? Number(sku.price) : null,
+            image: sku.image || null,
+            reorderThreshold: hasThreshold ? Number(sku.reorderThreshold) : null
+        };
+    });
+};
+
+/**
+ * Throws a 409 if any of the barcodes is already used by another product or SKU of the tenant.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} [productId] - The product being saved, whose own barcodes are ignored.
+ * @param {Array<string>} barcodes - The barcodes to check (empty values are ignored).
+ */
+const assertBarcodesAvailable = async (tenantObjectId, productId, barcodes) => {
+    const codes = barcodes.filter(Boolean);
+    if (codes.length === 0) {
+        return;
+    }
+    const taken = await Product.findOne({
+        tenantId: tenantObjectId,
+        ...(productId ? { _id: { $ne: productId } } : {}),
+        $or: [{ barcode: { $in: codes } }, { 'skus.barcode': { $in: codes } }]
+    }).select('name').lean();
+    if (taken) {
+        throw httpError(409, `A barcode is already used by another product (${taken.name}).`);
+    }
+};
+
+/**
+ * Finds the product (and SKU) a scanned barcode belongs to.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} barcode - The barcode.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object|null>} `{ product, sku }` (sku is null for a product barcode), or null.
+ */
+const findProductByBarcode = async (tenantObjectId, barcode, session) => {
+    const code = String(barcode || '').trim();
+    if (!code) {
+        return null;
+    }
+    const product = await Product.findOne({
+        tenantId: tenantObjectId,
+        $or: [{ barcode: code }, { 'skus.barcode': code }]
+    }).session(session || null).lean();
+    if (!product) {
+        return null;
+    }
+    const sku = product.barcode === code ? null : (product.skus || []).find(candidate => candidate.barcode === code);
+    return { product, sku: sku || null };
+};
+
+module.exports = {
+    getSkuOptions,
+    getAvailable,
+    findSku,
+    parseSkus,
+    assertBarcodesAvailable,
+    findProductByBarcode
+};
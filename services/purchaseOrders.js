@@ -0,0 +1,458 @@
+/**
+ * FILE: ./services/purchaseOrders.js
+ * DESC: Suppliers, purchase orders and the receiving of their goods.
+ *
+ * A purchase order is drafted with the products (or SKUs) expected from a supplier, their
+ * quantities and unit costs, then marked 'ordered'. Stock agents receive it by scanning
+ * barcodes (resolved like `GET /products/barcode/:barcode`), in as many receipts as deliveries;
+ * each receipt adds to stock through a 'receiving' movement of the stock ledger. Quantities that
+ * differ from what was ordered are reported by `getDiscrepancies`.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { getSkuOptions, findProductByBarcode } = require('./productSkus');
+const { adjustStock } = require('./inventory');
+const { getNextSequenceValue } = require('./sequence');
+const { formatOrderNumber } = require('./orderNumber');
+const { httpError } = require('./httpError');
+
+const NUMBER_PREFIX = 'PO';
+
+// Statuses a purchase order can be moved to by hand, from each status.
+// 'partially_received' and 'received' are set by receipts.
+const STATUS_TRANSITIONS = {
+    draft: ['ordered', 'cancelled'],
+    ordered: ['cancelled'],
+    partially_received: ['closed'],
+    received: ['closed'],
+    closed: [],
+    cancelled: []
+};
+
+// Statuses in which goods can be received. A received order still accepts late or extra units until closed.
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received', 'received'];
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'phone', 'email', 'address', 'notes', 'isActive'];
+
+/**
+ * Picks and validates the supplier fields of a request body.
+ * @param {object} body - The request body.
+ * @param {boolean} [partial] - Whether fields may be omitted (updates).
+ * @returns {object} The supplier fields.
+ */
+const parseSupplier = (body, partial = false) => {
+    const fields = {};
+    for (const key of SUPPLIER_FIELDS) {
+        if (body[key] !== undefined) {
+            fields[key] = key === 'isActive' ? Boolean(body[key]) : String(body[key]).trim();
+        }
+    }
+    if ((!partial || fields.name !== undefined) && !fields.name) {
+        throw httpError(400, 'Supplier name is required.');
+    }
+    return fields;
+};
+
+/**
+ * Creates a supplier.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} params.body - The supplier fields.
+ * @returns {Promise<object>} The supplier.
+ */
+const createSupplier = async ({ tenantId, body }) => {
+    const fields = parseSupplier(body);
+    if (await Supplier.exists({ tenantId, name: fields.name })) {
+        throw httpError(409, `A supplier named "${fields.name}" already exists.`);
+    }
+    return Supplier.create({ ...fields, tenantId });
+};
+
+/**
+ * Updates a supplier.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.supplierId - The supplier's MongoDB ObjectId.
+ * @param {object} params.body - The fields to change.
+ * @returns {Promise<object>} The updated supplier.
+ */
+const updateSupplier = async ({ tenantId, supplierId, body }) => {
+    if (!mongoose.isValidObjectId(supplierId)) {
+        throw httpError(400, `Invalid supplier ID: ${supplierId}.`);
+    }
+    const fields = parseSupplier(body, true);
+    if (fields.name && await Supplier.exists({ tenantId, name: fields.name, _id: { $ne: supplierId } })) {
+        throw httpError(409, `A supplier named "${fields.name}" already exists.`);
+    }
+    const supplier = await Supplier.findOneAndUpdate({ _id: supplierId, tenantId }, { $set: fields }, { new: true, runValidators: true });
+    if (!supplier) {
+        throw httpError(404, 'Supplier not found.');
+    }
+    return supplier;
+};
+
+/**
+ * Validates the lines of a purchase order and snapshots their product details.
+ * Each line names its product with `productId` (and `skuId`), or with a scanned `barcode`.
+ * @param {string} tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} rawLines - `[{ productId, skuId, barcode, orderedQuantity, unitCost }]`.
+ * @returns {Promise<Array<object>>} The lines, ready to store.
+ */
+const buildLines = async (tenantId, rawLines) => {
+    if (!Array.isArray(rawLines) || rawLines.length === 0) {
+        throw httpError(400, 'A purchase order needs at least one line.');
+    }
+    const seen = new Set();
+    const lines = [];
+    for (const [index, raw] of rawLines.entries()) {
+        const label = `Line ${index + 1}`;
+        let product;
+        let sku = null;
+        if (raw.barcode && !raw.productId) {
+            const match = await findProductByBarcode(tenantId, raw.barcode);
+            if (!match) {
+                throw httpError(404, `${label}: no product found with barcode ${raw.barcode}.`);
+            }
+            ({ product, sku } = match);
+        } else {
+            if (!mongoose.isValidObjectId(raw.productId) || (raw.skuId && !mongoose.isValidObjectId(raw.skuId))) {
+                throw httpError(400, `${label}: invalid product or SKU ID.`);
+            }
+            product = await Product.findOne({ _id: raw.productId, tenantId }).lean();
+            if (!product) {
+                throw httpError(404, `${label}: product not found for this client.`);
+            }
+            if (raw.skuId) {
+                sku = (product.skus || []).find(candidate => String(candidate._id) === String(raw.skuId));
+                if (!sku) {
+                    throw httpError(404, `${label}: SKU not found for ${product.name}.`);
+                }
+            }
+        }
+        if (product.skus && product.skus.length > 0 && !sku) {
+            throw httpError(400, `${label}: ${product.name} has SKUs: choose the SKU to order.`);
+        }
+
+        const orderedQuantity = Number(raw.orderedQuantity);
+        if (!Number.isInteger(orderedQuantity) || orderedQuantity < 1) {
+            throw httpError(400, `${label}: orderedQuantity must be a positive integer.`);
+        }
+        const unitCost = raw.unitCost === undefined || raw.unitCost === '' ? 0 : Number(raw.unitCost);
+        if (!Number.isFinite(unitCost) || unitCost < 0) {
+            throw httpError(400, `${label}: unitCost must be a non-negative number.`);
+        }
+        const key = `${product._id}:${sku ? sku._id : ''}`;
+        if (seen.has(key)) {
+            throw httpError(400, `${label}: ${product.name} is already on this purchase order.`);
+        }
+        seen.add(key);
+
+        lines.push({
+            productId: product._id,
+            skuId: sku ? sku._id : null,
+            name: product.name,
+            sku: sku ? sku.sku || null : null,
+            options: sku ? getSkuOptions(sku) : undefined,
+            barcode: (sku ? sku.barcode : product.barcode) || null,
+            orderedQuantity,
+            receivedQuantity: 0,
+            unitCost
+        });
+    }
+    return lines;
+};
+
+/**
+ * Finds an active supplier of the tenant.
+ * @param {string} tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} supplierId - The supplier's MongoDB ObjectId.
+ * @returns {Promise<object>} The supplier.
+ */
+const findActiveSupplier = async (tenantId, supplierId) => {
+    if (!mongoose.isValidObjectId(supplierId)) {
+        throw httpError(400, 'A valid supplierId is required.');
+    }
+    const supplier = await Supplier.findOne({ _id: supplierId, tenantId }).lean();
+    if (!supplier) {
+        throw httpError(404, 'Supplier not found.');
+    }
+    if (!supplier.isActive) {
+        throw httpError(400, `${supplier.name} is inactive.`);
+    }
+    return supplier;
+};
+
+/**
+ * Loads a purchase order of the tenant.
+ * @param {string} tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} purchaseOrderId - The purchase order's MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The purchase order document.
+ */
+const findPurchaseOrder = async (tenantId, purchaseOrderId, session) => {
+    if (!mongoose.isValidObjectId(purchaseOrderId)) {
+        throw httpError(400, `Invalid purchase order ID: ${purchaseOrderId}.`);
+    }
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: purchaseOrderId, tenantId }).session(session || null);
+    if (!purchaseOrder) {
+        throw httpError(404, 'Purchase order not found.');
+    }
+    return purchaseOrder;
+};
+
+/**
+ * Creates a draft purchase order with the next `PO-` number of the tenant.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} params.body - `{ supplierId, lines, expectedAt, notes }`.
+ * @param {object} [params.user] - The staff member creating it.
+ * @returns {Promise<object>} The purchase order.
+ */
+const createPurchaseOrder = async ({ tenantId, body, user }) => {
+    await findActiveSupplier(tenantId, body.supplierId);
+    const lines = await buildLines(tenantId, body.lines);
+    const seq = await getNextSequenceValue(`purchaseOrderNumber_${tenantId}`);
+    return PurchaseOrder.create({
+        tenantId,
+        number: formatOrderNumber(seq, { prefix: NUMBER_PREFIX }),
+        supplierId: body.supplierId,
+        expectedAt: body.expectedAt || null,
+        notes: body.notes || '',
+        lines,
+        createdBy: user ? user._id : null
+    });
+};
+
+/**
+ * Updates a purchase order. The supplier and lines can only change while it is a draft.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.purchaseOrderId - The purchase order's MongoDB ObjectId.
+ * @param {object} params.body - `{ supplierId, lines, expectedAt, notes }`, all optional.
+ * @returns {Promise<object>} The updated purchase order.
+ */
+const updatePurchaseOrder = async ({ tenantId, purchaseOrderId, body }) => {
+    const purchaseOrder = await findPurchaseOrder(tenantId, purchaseOrderId);
+    if (['closed', 'cancelled'].includes(purchaseOrder.status)) {
+        throw httpError(400, `A ${purchaseOrder.status} purchase order cannot be edited.`);
+    }
+    if ((body.supplierId !== undefined || body.lines !== undefined) && purchaseOrder.status !== 'draft') {
+        throw httpError(400, 'The supplier and lines can only be changed while the purchase order is a draft.');
+    }
+    if (body.supplierId !== undefined) {
+        await findActiveSupplier(tenantId, body.supplierId);
+        purchaseOrder.supplierId = body.supplierId;
+    }
+    if (body.lines !== undefined) {
+        purchaseOrder.lines = await buildLines(tenantId, body.lines);
+    }
+    if (body.expectedAt !== undefined) {
+        purchaseOrder.expectedAt = body.expectedAt || null;
+    }
+    if (body.notes !== undefined) {
+        purchaseOrder.notes = body.notes || '';
+    }
+    return purchaseOrder.save();
+};
+
+/**
+ * Moves a purchase order to another status by hand (see `STATUS_TRANSITIONS`).
+ * An order that already received goods cannot be cancelled, only closed.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.purchaseOrderId - The purchase order's MongoDB ObjectId.
+ * @param {string} params.status - The new status.
+ * @returns {Promise<object>} The updated purchase order.
+ */
+const setPurchaseOrderStatus = async ({ tenantId, purchaseOrderId, status }) => {
+    const purchaseOrder = await findPurchaseOrder(tenantId, purchaseOrderId);
+    const allowed = STATUS_TRANSITIONS[purchaseOrder.status] || [];
+    if (!allowed.includes(status)) {
+        throw httpError(400, `Cannot change a purchase order from '${purchaseOrder.status}' to '${status}'.`, { allowed });
+    }
+    purchaseOrder.status = status;
+    if (status === 'ordered') {
+        purchaseOrder.orderedAt = new Date();
+    }
+    if (status === 'closed' || status === 'cancelled') {
+        purchaseOrder.closedAt = new Date();
+    }
+    return purchaseOrder.save();
+};
+
+/**
+ * Finds the line of a purchase order a scanned barcode (or a `lineId`, for unlabelled goods) refers to.
+ * A product-level barcode matches a product with SKUs only if a single one of its SKUs is on the order.
+ * @param {string} tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} purchaseOrder - The purchase order.
+ * @param {object} item - `{ barcode }` or `{ lineId }`.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} The line.
+ */
+const findReceivingLine = async (tenantId, purchaseOrder, { barcode, lineId }, session) => {
+    if (!barcode) {
+        const line = mongoose.isValidObjectId(lineId) ? purchaseOrder.lines.id(lineId) : null;
+        if (!line) {
+            throw httpError(400, 'Scan a barcode or choose a line of the purchase order.');
+        }
+        return line;
+    }
+    const match = await findProductByBarcode(tenantId, barcode, session);
+    if (!match) {
+        throw httpError(404, `No product found with barcode ${barcode}.`);
+    }
+    const { product, sku } = match;
+    const candidates = purchaseOrder.lines.filter(line => String(line.productId) === String(product._id)
+        && (!sku || String(line.skuId) === String(sku._id)));
+    if (candidates.length === 0) {
+        throw httpError(400, `${product.name} (barcode ${barcode}) is not on this purchase order.`);
+    }
+    if (candidates.length > 1) {
+        throw httpError(400, `${product.name} has several SKUs on this purchase order: scan the SKU's barcode.`);
+    }
+    return candidates[0];
+};
+
+/**
+ * Looks up the purchase order line a scanned barcode refers to, with what is left to receive.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.purchaseOrderId - The purchase order's MongoDB ObjectId.
+ * @param {string} params.barcode - The scanned barcode.
+ * @returns {Promise<object>} The line with `remaining` set.
+ */
+const scanPurchaseOrderLine = async ({ tenantId, purchaseOrderId, barcode }) => {
+    const purchaseOrder = await findPurchaseOrder(tenantId, purchaseOrderId);
+    const line = await findReceivingLine(tenantId, purchaseOrder, { barcode });
+    return { ...line.toObject(), remaining: Math.max(line.orderedQuantity - line.receivedQuantity, 0) };
+};
+
+/**
+ * Books a receipt against a purchase order and adds the goods to stock, in one transaction.
+ * Every item is resolved first; if one fails nothing is booked. Units beyond what was ordered
+ * are accepted and show up as discrepancies.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.purchaseOrderId - The purchase order's MongoDB ObjectId.
+ * @param {Array<object>} params.items - `[{ barcode, quantity }]` (or `{ lineId, quantity }`); quantity defaults to 1 per scan.
+ * @param {string} [params.note] - A free-text note (e.g. the delivery note number).
+ * @param {object} [params.user] - The stock agent receiving the goods.
+ * @returns {Promise<object>} The updated purchase order.
+ */
+const receivePurchaseOrder = async ({ tenantId, purchaseOrderId, items, note, user }) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw httpError(400, 'Scan at least one item to receive.');
+    }
+    const session = await mongoose.startSession();
+    try {
+        let purchaseOrder;
+        await session.withTransaction(async () => {
+            purchaseOrder = await findPurchaseOrder(tenantId, purchaseOrderId, session);
+            if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+                throw httpError(400, `Goods cannot be received on a ${purchaseOrder.status} purchase order.`);
+            }
+
+            // Repeated scans of the same barcode add up to one receipt line.
+            const received = new Map();
+            const errors = [];
+            for (const [index, item] of items.entries()) {
+                const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+                if (!Number.isInteger(quantity) || quantity < 1) {
+                    errors.push({ item: index + 1, barcode: item.barcode || null, message: 'Quantity must be a positive integer.' });
+                    continue;
+                }
+                let line;
+                try {
+                    line = await findReceivingLine(tenantId, purchaseOrder, item, session);
+                } catch (error) {
+                    if (!error.statusCode) {
+                        throw error;
+                    }
+                    errors.push({ item: index + 1, barcode: item.barcode || null, message: error.message });
+                    continue;
+                }
+                const key = String(line._id);
+                const entry = received.get(key) || { line, barcode: item.barcode || null, quantity: 0 };
+                entry.quantity += quantity;
+                received.set(key, entry);
+            }
+            if (errors.length > 0) {
+                throw httpError(400, 'Some items could not be received. Nothing was booked.', { errors });
+            }
+
+            const reference = { kind: 'purchase_order', id: purchaseOrder._id, label: purchaseOrder.number };
+            for (const { line, quantity } of received.values()) {
+                await adjustStock({
+                    tenantId, productId: line.productId, skuId: line.skuId, type: 'receiving', quantity, reference, user, note, session
+                });
+                line.receivedQuantity += quantity;
+            }
+            purchaseOrder.receipts.push({
+                receivedBy: user ? user._id : null,
+                note: note || '',
+                lines: [...received.values()].map(({ line, barcode, quantity }) => ({ lineId: line._id, barcode, quantity }))
+            });
+            purchaseOrder.status = purchaseOrder.lines.every(line => line.receivedQuantity >= line.orderedQuantity)
+                ? 'received'
+                : 'partially_received';
+            await purchaseOrder.save({ session });
+        });
+        return purchaseOrder;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Compares what was received with what was ordered, line by line. A line is 'short' or 'over'
+ * by its `difference` (received minus ordered), valued at its unit cost.
+ * @param {object} purchaseOrder - The purchase order.
+ * @returns {object} `{ lines, summary }`.
+ */
+const getDiscrepancies = (purchaseOrder) => {
+    const lines = purchaseOrder.lines.map(line => {
+        const difference = line.receivedQuantity - line.orderedQuantity;
+        return {
+            lineId: line._id,
+            productId: line.productId,
+            skuId: line.skuId,
+            name: line.name,
+            sku: line.sku,
+            barcode: line.barcode,
+            orderedQuantity: line.orderedQuantity,
+            receivedQuantity: line.receivedQuantity,
+            difference,
+            state: difference < 0 ? 'short' : difference > 0 ? 'over' : 'complete',
+            costDifference: difference * line.unitCost
+        };
+    });
+    const sum = (items, pick) => items.reduce((total, item) => total + pick(item), 0);
+    return {
+        lines,
+        summary: {
+            short: lines.filter(line => line.state === 'short').length,
+            over: lines.filter(line => line.state === 'over').length,
+            complete: lines.filter(line => line.state === 'complete').length,
+            orderedQuantity: sum(lines, line => line.orderedQuantity),
+            receivedQuantity: sum(lines, line => line.receivedQuantity),
+            orderedCost: sum(purchaseOrder.lines, line => line.orderedQuantity * line.unitCost),
+            receivedCost: sum(purchaseOrder.lines, line => line.receivedQuantity * line.unitCost)
+        }
+    };
+};
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    RECEIVABLE_STATUSES,
+    createSupplier,
+    updateSupplier,
+    findPurchaseOrder,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    setPurchaseOrderStatus,
+    scanPurchaseOrderLine,
+    receivePurchaseOrder,
+    getDiscrepancies
+};
@@ -0,0 +1,282 @@
+/**
+ * FILE: ./services/selfConfirmation.js
+ * DESC: Customer self-confirmation of new orders through a signed link or a short code.
+ *
+ * A link carries `<orderId>.<expiry>.<signature>`, signed with a key derived from the tenant's
+ * JWT secret. It is only valid while its expiry matches `order.selfConfirmation.expiresAt`, so
+ * issuing a new link revokes the previous one. Short codes (for SMS) are stored hashed.
+ * Customer actions go through the normal status state machine with `actorType: 'customer'`.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const SiteConfig = require('../models/sitecontroll');
+const { withOrder } = require('./orderActions');
+const { changeOrderStatus } = require('./orderStatus');
+const { snapshotOrder, recordOrderHistory } = require('./orderHistory');
+const { resolveLocation } = require('./geo');
+const { priceOrderDelivery, applyOrderPricing } = require('./orderPricing');
+const { httpError } = require('./httpError');
+
+const DEFAULT_SELF_CONFIRMATION_SETTINGS = {
+    enabled: false,
+    ttlHours: 48,
+    pagePath: '/confirm-order',
+    allowCancel: true,
+    allowAddressEdit: true,
+    issueOnCreate: false
+};
+
+// Customers can only act on orders that are still waiting for confirmation.
+const ACTIONABLE_STATUSES = ['pending', 'tentative'];
+
+// Unambiguous characters only (no 0/O, 1/I/L).
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Loads a tenant's self-confirmation settings.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @returns {Promise<object>} The settings, with defaults applied.
+ */
+const getSelfConfirmationSettings = async (tenantObjectId) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'selfConfirmation').lean();
+    return { ...DEFAULT_SELF_CONFIRMATION_SETTINGS, ...(siteConfig?.selfConfirmation || {}) };
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+/**
+ * Signs `<orderId>.<expiry>` with a key derived from the tenant's JWT secret.
+ * @param {string} payload - The token payload.
+ * @param {string} secret - The tenant's JWT secret.
+ * @returns {string} The base64url signature.
+ */
+const sign = (payload, secret) => {
+    const key = crypto.createHmac('sha256', secret).update('order-self-confirmation').digest();
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+};
+
+/**
+ * Generates a random short code.
+ * @returns {string} The code, e.g. "K7QX3MPA".
+ */
+const generateCode = () => Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+/**
+ * Issues a new self-confirmation link and short code for an order, revoking older ones.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.secret - The tenant's JWT secret (`req.jwtSecret`).
+ * @param {string} params.orderId - The order's MongoDB ObjectId.
+ * @param {object} [params.settings] - Pre-loaded self-confirmation settings.
+ * @returns {Promise<object>} `{ token, code, url, expiresAt }`.
+ */
+const issueSelfConfirmation = async ({ tenant, secret, orderId, settings }) => {
+    const resolvedSettings = settings
+        ? { ...DEFAULT_SELF_CONFIRMATION_SETTINGS, ...settings }
+        : await getSelfConfirmationSettings(tenant._id);
+    if (!resolvedSettings.enabled) {
+        throw httpError(403, 'Customer self-confirmation is not enabled for this store.');
+    }
+    if (!secret) {
+        throw httpError(500, 'The store is missing its signing secret.');
+    }
+
+    // Whole seconds, so the expiry in the token round-trips exactly.
+    const expiresAt = new Date(Math.floor(Date.now() / 1000 + resolvedSettings.ttlHours * 3600) * 1000);
+    const code = generateCode();
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, tenantId: tenant._id, status: { $in: ACTIONABLE_STATUSES } },
+        { $set: { 'selfConfirmation.codeHash': hashCode(code), 'selfConfirmation.expiresAt': expiresAt } },
+        { new: true }
+    );
+    if (!order) {
+        throw httpError(404, 'No order awaiting confirmation was found.');
+    }
+
+    const payload = `${order._id}.${expiresAt.getTime() / 1000}`;
+    const token = `${payload}.${sign(payload, secret)}`;
+    return {
+        token,
+        code,
+        url: `https://${tenant.subdomain}.waqti.pro${resolvedSettings.pagePath}?token=${encodeURIComponent(token)}`,
+        expiresAt
+    };
+};
+
+/**
+ * Resolves a signed token or a short code to its order id.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.secret - The tenant's JWT secret.
+ * @param {string} params.token - A signed token or a short code.
+ * @returns {Promise<string>} The order id.
+ */
+const resolveOrderId = async ({ tenant, secret, token }) => {
+    const invalid = httpError(404, 'This confirmation link is invalid or has expired.');
+    const parts = String(token || '').split('.');
+
+    if (parts.length === 1) {
+        const order = await Order.findOne(
+            { tenantId: tenant._id, 'selfConfirmation.codeHash': hashCode(token), 'selfConfirmation.expiresAt': { $gt: new Date() } },
+            '_id'
+        ).lean();
+        if (!order) {
+            throw invalid;
+        }
+        return order._id;
+    }
+
+    const [orderId, expiry, signature] = parts;
+    if (parts.length !== 3 || !mongoose.isValidObjectId(orderId) || !secret) {
+        throw invalid;
+    }
+    const expected = Buffer.from(sign(`${orderId}.${expiry}`, secret));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw invalid;
+    }
+    const expiresAt = new Date(Number(expiry) * 1000);
+    const order = await Order.findOne({ _id: orderId, tenantId: tenant._id, 'selfConfirmation.expiresAt': expiresAt }, '_id').lean();
+    if (!order || expiresAt <= new Date()) {
+        throw invalid;
+    }
+    return order._id;
+};
+
+/**
+ * The customer-facing summary of an order.
+ * @param {object} order - The order document.
+ * @param {object} settings - The tenant's self-confirmation settings.
+ * @returns {object} The summary, with the actions the customer may take.
+ */
+const toCustomerSummary = (order, settings) => {
+    const actionable = ACTIONABLE_STATUSES.includes(order.status);
+    return {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        fullName: order.fullName,
+        phoneNumber: order.phoneNumber,
+        wilaya: order.wilaya,
+        commune: order.commune,
+        address: order.address,
+        deliveryType: order.deliveryType,
+        stopDesk: order.deliveryType === 'stop_desk' ? order.stopDesk : null,
+        products: order.products.map(line => ({
+            name: line.name, quantity: line.quantity, price: line.priceAtPurchase, color: line.color, size: line.size
+        })),
+        pricing: {
+            subtotal: order.pricing?.subtotal,
+            shipping: order.pricing?.shipping,
+            discount: order.pricing?.discount,
+            total: order.pricing?.total
+        },
+        totalPrice: order.totalPrice,
+        expiresAt: order.selfConfirmation?.expiresAt,
+        actions: {
+            confirm: actionable,
+            cancel: actionable && settings.allowCancel,
+            editAddress: actionable && settings.allowAddressEdit
+        }
+    };
+};
+
+/**
+ * Loads the order behind a token or code for the customer.
+ * @param {object} params - `{ tenant, secret, token }`.
+ * @returns {Promise<object>} The customer summary.
+ */
+const getSelfConfirmationOrder = async ({ tenant, secret, token }) => {
+    const settings = await getSelfConfirmationSettings(tenant._id);
+    if (!settings.enabled) {
+        throw httpError(403, 'Customer self-confirmation is not enabled for this store.');
+    }
+    const orderId = await resolveOrderId({ tenant, secret, token });
+    const order = await Order.findById(orderId);
+    return toCustomerSummary(order, settings);
+};
+
+/**
+ * Applies a customer's response: 'confirm', 'cancel' or 'address' (with `address` and `commune`).
+ * The wilaya cannot be changed here. A new commune can change the delivery fee (commune overrides),
+ * so the order is repriced; stop-desk orders are collected at their office and keep their commune.
+ * @param {object} params
+ * @param {object} params.tenant - The tenant (Client) document.
+ * @param {string} params.secret - The tenant's JWT secret.
+ * @param {string} params.token - A signed token or a short code.
+ * @param {string} params.action - 'confirm', 'cancel' or 'address'.
+ * @param {object} [params.changes] - `{ address, commune }` for the 'address' action.
+ * @param {object} [params.req] - The Express request, recorded in the history.
+ * @returns {Promise<object>} The customer summary after the change.
+ */
+const respondToSelfConfirmation = async ({ tenant, secret, token, action, changes = {}, req }) => {
+    const settings = await getSelfConfirmationSettings(tenant._id);
+    if (!settings.enabled) {
+        throw httpError(403, 'Customer self-confirmation is not enabled for this store.');
+    }
+    const orderId = await resolveOrderId({ tenant, secret, token });
+
+    const order = await withOrder(tenant._id, orderId, async (order, session) => {
+        if (!ACTIONABLE_STATUSES.includes(order.status)) {
+            throw httpError(409, `This order is already ${order.status}.`);
+        }
+        const before = snapshotOrder(order);
+        let historyAction = 'status_changed';
+
+        if (action === 'confirm') {
+            await changeOrderStatus({ order, status: 'confirmed', session });
+            order.confirmedBy = null;
+            order.confirmedVia = 'customer';
+            order.selfConfirmation.response = 'confirmed';
+        } else if (action === 'cancel') {
+            if (!settings.allowCancel) {
+                throw httpError(403, 'Please contact the store to cancel this order.');
+            }
+            await changeOrderStatus({ order, status: 'cancelled', session });
+            order.selfConfirmation.response = 'cancelled';
+        } else if (action === 'address') {
+            if (!settings.allowAddressEdit) {
+                throw httpError(403, 'Please contact the store to change the delivery address.');
+            }
+            const { address, commune } = changes;
+            if (!address && !commune) {
+                throw httpError(400, 'Provide a new address or commune.');
+            }
+            if (address) {
+                order.address = address;
+            }
+            if (commune && order.deliveryType === 'stop_desk') {
+                throw httpError(400, 'This order is collected at a stop desk: only the address can be changed.');
+            }
+            if (commune) {
+                const location = resolveLocation({ wilaya: order.wilayaCode || order.wilaya, commune });
+                if (location.communeCode !== order.communeCode) {
+                    order.commune = location.commune;
+                    order.communeCode = location.communeCode;
+                    applyOrderPricing(order, await priceOrderDelivery({ order, session }));
+                }
+            }
+            order.selfConfirmation.response = 'address_updated';
+            historyAction = 'updated';
+        } else {
+            throw httpError(400, 'Unknown action.');
+        }
+
+        order.selfConfirmation.respondedAt = new Date();
+        await order.save({ session });
+        await recordOrderHistory({ order, before, action: historyAction, actorType: 'customer', req, session });
+    });
+    return toCustomerSummary(order, settings);
+};
+
+module.exports = {
+    DEFAULT_SELF_CONFIRMATION_SETTINGS,
+    getSelfConfirmationSettings,
+    issueSelfConfirmation,
+    getSelfConfirmationOrder,
+    respondToSelfConfirmation
+};
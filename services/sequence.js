@@ -0,0 +1,23 @@
+/**
+ * FILE: ./services/sequence.js
+ * DESC: Atomic, named sequences backed by the `Counter` collection.
+ */
+const Counter = require('../models/Counter');
+
+/**
+ * Generates the next sequential number for a given counter (e.g., 'tenantId').
+ * Inside a transaction, an aborted transaction gives its number back.
+ * @param {string} sequenceName The name of the sequence to increment.
+ * @param {object} [session] Optional MongoDB session.
+ * @returns {Promise<number>} The next sequence value.
+ */
+async function getNextSequenceValue(sequenceName, session) {
+    const sequenceDocument = await Counter.findByIdAndUpdate(
+        sequenceName,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return sequenceDocument.seq;
+}
+
+module.exports = { getNextSequenceValue };
@@ -0,0 +1,305 @@
+/**
+ * FILE: ./services/stockAlerts.js
+ * DESC: Low-stock thresholds, the low-stock report and restock alerts.
+ *
+ * A product (or SKU) is low once its available stock (on hand minus reserved) is at or below its
+ * reorder threshold: the SKU's own `reorderThreshold`, else the product's, else the tenant's
+ * `SiteConfig.stockAlerts.defaultThreshold`. Days of cover divide the available stock by the daily sales of the last `velocityDays` days, taken from
+ * the stock ledger (sales net of cancellations and returns). Admins and stock agents are emailed:
+ * - in real time, when a stock change (sale, reservation, adjustment) takes a product from above
+ *   its threshold to at or below it (sent once the change's transaction has committed);
+ * - in a daily digest of every low product, by `startStockAlertScheduler`.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const SiteConfig = require('../models/sitecontroll');
+const { getSkuOptions, getAvailable } = require('./productSkus');
+const { sendPlatformEmail } = require('./mailer');
+
+const ALERT_ROLES = ['admin', 'stockagent'];
+const DEFAULT_VELOCITY_DAYS = 30;
+const SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alerts raised inside a transaction, sent once its session ends committed.
+const pendingAlerts = new WeakMap();
+
+/**
+ * Loads a tenant's low-stock alert settings.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {object} [session] - Optional MongoDB session.
+ * @returns {Promise<object>} `SiteConfig.stockAlerts` (defaults if the tenant has no config).
+ */
+const getAlertSettings = async (tenantObjectId, session) => {
+    const siteConfig = await SiteConfig.findOne({ tenantId: tenantObjectId }, 'stockAlerts').session(session || null).lean();
+    return { enabled: true, defaultThreshold: null, realTime: true, velocityDays: DEFAULT_VELOCITY_DAYS, ...(siteConfig?.stockAlerts || {}) };
+};
+
+/**
+ * The reorder threshold that applies to a product or SKU.
+ * @param {object} product - The product.
+ * @param {object} [sku] - The SKU, for products with SKUs.
+ * @param {object} [settings] - The tenant's `SiteConfig.stockAlerts`.
+ * @returns {number|null} The threshold, or null if none is set.
+ */
+const resolveThreshold = (product, sku, settings) => {
+    const candidates = [sku?.reorderThreshold, product.reorderThreshold, settings?.defaultThreshold];
+    const threshold = candidates.find(value => value !== null && value !== undefined);
+    return threshold === undefined ? null : threshold;
+};
+
+/**
+ * Counts the units sold per product and SKU over the last days, net of cancellations and returns.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {number} days - The number of days to look back.
+ * @returns {Promise<Map<string, number>>} Units keyed by `productId:skuId` (empty skuId for products without SKUs).
+ */
+const getUnitsSold = async (tenantObjectId, days) => {
+    const rows = await StockMovement.aggregate([
+        {
+            $match: {
+                tenantId: new mongoose.Types.ObjectId(String(tenantObjectId)),
+                type: { $in: ['sale', 'cancellation_restore', 'return'] },
+                createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }
+            }
+        },
+        { $group: { _id: { productId: '$productId', skuId: '$skuId' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    return new Map(rows.map(row => [`${row._id.productId}:${row._id.skuId || ''}`, Math.max(-row.quantity, 0)]));
+};
+
+/**
+ * Builds the low-stock report of a tenant: every product and SKU at or below its threshold,
+ * those running out soonest first (products without recent sales last).
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {number} [params.days] - Sales window for the daily rate; defaults to the tenant's `velocityDays`.
+ * @returns {Promise<object>} `{ days, items }`, each item with `stock`, `reserved`, `available`, `threshold`, `unitsSold`,
+ * `dailySales` and `daysOfCover` (null without sales).
+ */
+const getLowStockReport = async ({ tenantId, days }) => {
+    const settings = await getAlertSettings(tenantId);
+    const window = Number.isInteger(Number(days)) && Number(days) > 0 ? Math.min(Number(days), 365) : settings.velocityDays;
+    const [products, unitsSold] = await Promise.all([
+        Product.find({ tenantId }).select('name barcode quantity reserved reorderThreshold skus').lean(),
+        getUnitsSold(tenantId, window)
+    ]);
+
+    const items = [];
+    const addItem = (product, sku) => {
+        const record = sku || product;
+        const available = getAvailable(record);
+        const threshold = resolveThreshold(product, sku, settings);
+        if (threshold === null || available > threshold) {
+            return;
+        }
+        const units = unitsSold.get(`${product._id}:${sku ? sku._id : ''}`) || 0;
+        const dailySales = Math.round((units / window) * 100) / 100;
+        items.push({
+            productId: product._id,
+            skuId: sku ? sku._id : null,
+            name: product.name,
+            sku: sku ? sku.sku || null : null,
+            options: sku ? getSkuOptions(sku) : null,
+            barcode: sku ? sku.barcode || null : product.barcode || null,
+            stock: record.quantity,
+            reserved: record.reserved || 0,
+            available,
+            threshold,
+            unitsSold: units,
+            dailySales,
+            daysOfCover: units > 0 ? Math.round((available / (units / window)) * 10) / 10 : null
+        });
+    };
+    for (const product of products) {
+        if (product.skus && product.skus.length > 0) {
+            product.skus.forEach(sku => addItem(product, sku));
+        } else {
+            addItem(product, null);
+        }
+    }
+
+    items.sort((a, b) => {
+        if (a.daysOfCover === null || b.daysOfCover === null) {
+            return (a.daysOfCover === null) - (b.daysOfCover === null) || a.available - b.available;
+        }
+        return a.daysOfCover - b.daysOfCover || a.available - b.available;
+    });
+    return { days: window, items };
+};
+
+/**
+ * The emails of a tenant's admins and stock agents, or the tenant's own email if it has none.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @returns {Promise<Array<string>>}
+ */
+const getAlertRecipients = async (tenantObjectId) => {
+    const client = await Client.findById(tenantObjectId).select('tenantId email name').lean();
+    if (!client) {
+        return [];
+    }
+    const users = await User.find({ tenantId: client.tenantId, role: { $in: ALERT_ROLES } }).select('email').lean();
+    const emails = [...new Set(users.map(user => user.email).filter(Boolean))];
+    return emails.length > 0 ? emails : [client.email].filter(Boolean);
+};
+
+/**
+ * Describes a report item for an email.
+ * @param {object} item - A low-stock item.
+ * @returns {string}
+ */
+const describeItem = (item) => {
+    const options = item.options ? Object.values(item.options).join(' / ') : '';
+    return `${item.name}${options ? ` (${options})` : ''}`;
+};
+
+/**
+ * Emails low-stock items to the tenant's admins and stock agents.
+ * @param {string} tenantObjectId - The tenant's (Client) MongoDB ObjectId.
+ * @param {Array<object>} items - Items with `name`, `options`, `available`, `threshold` and optionally `daysOfCover`.
+ * @param {boolean} [digest] - Whether this is the daily digest rather than a real-time alert.
+ */
+const sendLowStockEmail = async (tenantObjectId, items, digest = false) => {
+    const recipients = await getAlertRecipients(tenantObjectId);
+    if (recipients.length === 0 || items.length === 0) {
+        return;
+    }
+    const rows = items.map(item => `
+        <tr>
+            <td>${describeItem(item)}</td>
+            <td>${item.available}</td>
+            <td>${item.threshold}</td>
+            <td>${item.daysOfCover === null || item.daysOfCover === undefined ? '-' : item.daysOfCover}</td>
+        </tr>`).join('');
+    await sendPlatformEmail({
+        to: recipients,
+        subject: digest
+            ? `📦 Daily low-stock digest: ${items.length} item(s) to restock`
+            : `⚠️ Low stock: ${items.map(describeItem).join(', ')}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+                <h2>${digest ? 'Products at or below their reorder threshold' : 'Stock just reached the reorder threshold'}</h2>
+                <table cellpadding="6" style="border-collapse: collapse;">
+                    <tr><th align="left">Product</th><th>Available</th><th>Threshold</th><th>Days of cover</th></tr>
+                    ${rows}
+                </table>
+                <p>Please log in to your admin dashboard to restock these products.</p>
+            </div>
+        `
+    });
+};
+
+/**
+ * Raises a real-time alert if a stock change took the available stock of a product (or SKU)
+ * from above its reorder threshold to at or below it. Call it after the change was applied.
+ * Within a transaction, the alert is only sent once it commits. Never throws: alerts must not
+ * fail the change.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.productId - The product's MongoDB ObjectId.
+ * @param {string} [params.skuId] - The SKU, for products with SKUs.
+ * @param {number} params.change - The signed change of the available stock.
+ * @param {object} [params.session] - Optional MongoDB session.
+ */
+const checkLowStockCrossing = async ({ tenantId, productId, skuId, change, session }) => {
+    if (change >= 0) {
+        return;
+    }
+    try {
+        const settings = await getAlertSettings(tenantId, session);
+        if (!settings.enabled || !settings.realTime) {
+            return;
+        }
+        const product = await Product.findOne({ _id: productId, tenantId }).select('name quantity reserved reorderThreshold skus').session(session || null).lean();
+        const sku = product && skuId ? (product.skus || []).find(candidate => String(candidate._id) === String(skuId)) : null;
+        if (!product || (skuId && !sku)) {
+            return;
+        }
+        const threshold = resolveThreshold(product, sku, settings);
+        const available = getAvailable(sku || product);
+        if (threshold === null || available > threshold || available - change <= threshold) {
+            return;
+        }
+
+        const item = { name: product.name, options: sku ? getSkuOptions(sku) : null, available, threshold };
+        const send = (items) => sendLowStockEmail(tenantId, items)
+            .catch(error => console.error('Error sending low-stock alert:', error));
+        if (!session) {
+            send([item]);
+            return;
+        }
+        let pending = pendingAlerts.get(session);
+        if (!pending) {
+            pending = new Map();
+            pendingAlerts.set(session, pending);
+            session.once('ended', () => {
+                pendingAlerts.delete(session);
+                if (session.transaction.isCommitted) {
+                    send([...pending.values()]);
+                }
+            });
+        }
+        // Keyed so a retried transaction does not alert twice.
+        pending.set(`${productId}:${skuId || ''}`, item);
+    } catch (error) {
+        console.error('Error checking low stock:', error);
+    }
+};
+
+/**
+ * Sends the daily digest of every tenant whose digest hour has passed and that was not sent
+ * one today. The digest is claimed atomically, so several server instances send it once.
+ * @param {Date} [now] - The current time.
+ */
+const sendDailyDigests = async (now = new Date()) => {
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const configs = await SiteConfig.find({
+        'stockAlerts.enabled': { $ne: false },
+        'stockAlerts.dailyDigest': { $ne: false }
+    }).select('tenantId stockAlerts').lean();
+
+    for (const config of configs) {
+        const digestHour = config.stockAlerts?.digestHour ?? 8;
+        if (now.getHours() < digestHour) {
+            continue;
+        }
+        try {
+            const claimed = await SiteConfig.findOneAndUpdate(
+                {
+                    _id: config._id,
+                    $or: [{ 'stockAlerts.lastDigestAt': null }, { 'stockAlerts.lastDigestAt': { $lt: startOfDay } }]
+                },
+                { $set: { 'stockAlerts.lastDigestAt': now } }
+            );
+            if (!claimed) {
+                continue;
+            }
+            const report = await getLowStockReport({ tenantId: config.tenantId });
+            await sendLowStockEmail(config.tenantId, report.items, true);
+        } catch (error) {
+            console.error(`Error sending the low-stock digest of tenant ${config.tenantId}:`, error);
+        }
+    }
+};
+
+/**
+ * Starts checking for due daily digests every 15 minutes.
+ * @returns {object} The interval timer (unref'd, so it never keeps the process alive).
+ */
+const startStockAlertScheduler = () => {
+    const run = () => sendDailyDigests().catch(error => console.error('Error running the low-stock digest:', error));
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    resolveThreshold,
+    getLowStockReport,
+    checkLowStockCrossing,
+    sendDailyDigests,
+    startStockAlertScheduler
+};
@@ -0,0 +1,231 @@
+/**
+ * FILE: ./services/stockLedger.js
+ * DESC: The append-only stock ledger (`StockMovement`).
+ *
+ * services/inventory.js writes one entry per stock change, with the resulting balance.
+ * A product (or SKU) that had stock before the ledger first saw it gets an 'opening_balance'
+ * entry, so that the sum of its entries always equals its current quantity; `checkStockConsistency`
+ * re-derives stock from the ledger to verify exactly that.
+ */
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { checkLowStockCrossing } = require('./stockAlerts');
+const { httpError } = require('./httpError');
+
+/**
+ * The ledger reference of an order.
+ * @param {object} order - The order.
+ * @returns {object} `{ kind, id, label }`.
+ */
+const orderReference = (order) => ({ kind: 'order', id: order._id, label: order.orderNumber || null });
+
+/**
+ * Appends a movement to the ledger, preceded by an opening balance the first time the
+ * product (or SKU) is seen.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.productId - The product's MongoDB ObjectId.
+ * @param {string} [params.skuId] - The SKU, for products with SKUs.
+ * @param {string} params.type - One of `StockMovement.MOVEMENT_TYPES`.
+ * @param {number} params.quantity - The signed quantity moved.
+ * @param {number} params.balance - The quantity after the movement.
+ * @param {object} [params.reference] - `{ kind, id, label }` of the document that caused it.
+ * @param {object} [params.user] - The staff member who made it.
+ * @param {string} [params.note] - A free-text note.
+ * @param {object} [params.session] - Optional MongoDB session.
+ * @returns {Promise<object>} The ledger entry.
+ */
+const recordStockMovement = async ({ tenantId, productId, skuId = null, type, quantity, balance, reference, user, note, session }) => {
+    const entries = [];
+    const opening = balance - quantity;
+    if (type !== 'opening_balance' && opening !== 0) {
+        const tracked = await StockMovement.exists({ tenantId, productId, skuId }).session(session || null);
+        if (!tracked) {
+            entries.push({ tenantId, productId, skuId, type: 'opening_balance', quantity: opening, balance: opening });
+        }
+    }
+    entries.push({
+        tenantId,
+        productId,
+        skuId,
+        type,
+        quantity,
+        balance,
+        reference: reference || {},
+        user: user ? user._id : null,
+        note: note || ''
+    });
+    const created = await StockMovement.create(entries, { session, ordered: true });
+    return created[created.length - 1];
+};
+
+/**
+ * The stock levels of a product: per SKU for products with SKUs, otherwise its total.
+ * @param {object} product - The product.
+ * @returns {Map<string, number>} Quantities keyed by SKU ID ('' for the product total).
+ */
+const getStockLevels = (product) => {
+    if (product.skus && product.skus.length > 0) {
+        return new Map(product.skus.map(sku => [String(sku._id), sku.quantity]));
+    }
+    return new Map([['', product.quantity || 0]]);
+};
+
+/**
+ * Records the stock changes made to a product outside of orders (creating, editing or deleting
+ * it): levels that did not exist before are opening balances, others manual adjustments.
+ * Decreases can raise a low-stock alert.
+ * @param {object} params
+ * @param {object} params.product - The product.
+ * @param {Map<string, number>} params.before - `getStockLevels` before the change (empty for a new product).
+ * @param {Map<string, number>} params.after - `getStockLevels` after the change (empty for a deleted product).
+ * @param {object} [params.user] - The staff member who made the change.
+ * @param {string} [params.note] - A free-text note.
+ * @param {object} [params.session] - Optional MongoDB session, to record the changes in the transaction that made them.
+ */
+const recordStockChanges = async ({ product, before, after, user, note, session }) => {
+    const keys = new Set([...before.keys(), ...after.keys()]);
+    for (const key of keys) {
+        const balance = after.get(key) || 0;
+        const quantity = balance - (before.get(key) || 0);
+        if (quantity === 0) {
+            continue;
+        }
+        await recordStockMovement({
+            tenantId: product.tenantId,
+            productId: product._id,
+            skuId: key || null,
+            type: before.has(key) ? 'manual_adjustment' : 'opening_balance',
+            quantity,
+            balance,
+            reference: { kind: 'product', id: product._id, label: product.name },
+            user,
+            note,
+            session
+        });
+        await checkLowStockCrossing({ tenantId: product.tenantId, productId: product._id, skuId: key || null, change: quantity, session });
+    }
+};
+
+/**
+ * Lists the ledger entries of a product, newest first.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} params.productId - The product's MongoDB ObjectId.
+ * @param {string} [params.skuId] - Only the entries of this SKU.
+ * @param {string} [params.type] - Only the entries of this type.
+ * @param {number} params.skip - Entries to skip.
+ * @param {number} params.limit - Entries to return.
+ * @returns {Promise<object>} `{ movements, total }`.
+ */
+const getStockHistory = async ({ tenantId, productId, skuId, type, skip, limit }) => {
+    if (!mongoose.isValidObjectId(productId)) {
+        throw httpError(400, `Invalid product ID: ${productId}.`);
+    }
+    if (skuId && !mongoose.isValidObjectId(skuId)) {
+        throw httpError(400, `Invalid SKU ID: ${skuId}.`);
+    }
+    if (type && !StockMovement.MOVEMENT_TYPES.includes(type)) {
+        throw httpError(400, `Invalid movement type. Allowed: ${StockMovement.MOVEMENT_TYPES.join(', ')}.`);
+    }
+    const filter = { tenantId, productId };
+    if (skuId) {
+        filter.skuId = skuId;
+    }
+    if (type) {
+        filter.type = type;
+    }
+    const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+            .populate('user', 'name email')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        StockMovement.countDocuments(filter)
+    ]);
+    return { movements, total };
+};
+
+/**
+ * Re-derives the stock of every product (and SKU) of the tenant from the ledger and compares
+ * it with the stored quantities. Products the ledger has never seen are reported as untracked.
+ * @param {object} params
+ * @param {string} params.tenantId - The tenant's (Client) MongoDB ObjectId.
+ * @param {string} [params.productId] - Only check this product.
+ * @returns {Promise<object>} `{ checked, consistent, untracked, mismatches }`.
+ */
+const checkStockConsistency = async ({ tenantId, productId }) => {
+    if (productId && !mongoose.isValidObjectId(productId)) {
+        throw httpError(400, `Invalid product ID: ${productId}.`);
+    }
+    const tenantObjectId = new mongoose.Types.ObjectId(String(tenantId));
+    const productFilter = { tenantId: tenantObjectId };
+    if (productId) {
+        productFilter._id = new mongoose.Types.ObjectId(String(productId));
+    }
+
+    const [products, sums] = await Promise.all([
+        Product.find(productFilter).select('name quantity skus').lean(),
+        StockMovement.aggregate([
+            { $match: { tenantId: tenantObjectId, ...(productId ? { productId: productFilter._id } : {}) } },
+            { $group: { _id: { productId: '$productId', skuId: '$skuId' }, quantity: { $sum: '$quantity' }, entries: { $sum: 1 } } }
+        ])
+    ]);
+    const ledger = new Map(sums.map(row => [`${row._id.productId}:${row._id.skuId || ''}`, row.quantity]));
+
+    const result = { checked: 0, consistent: 0, untracked: 0, mismatches: [] };
+    const compare = (product, sku) => {
+        const key = `${product._id}:${sku ? sku._id : ''}`;
+        const stock = sku ? sku.quantity : product.quantity;
+        result.checked++;
+        if (!ledger.has(key)) {
+            result.untracked++;
+            return;
+        }
+        const derived = ledger.get(key);
+        if (derived === stock) {
+            result.consistent++;
+            return;
+        }
+        result.mismatches.push({
+            productId: product._id,
+            skuId: sku ? sku._id : null,
+            name: product.name,
+            stock,
+            ledger: derived,
+            difference: stock - derived
+        });
+    };
+
+    for (const product of products) {
+        if (product.skus && product.skus.length > 0) {
+            product.skus.forEach(sku => compare(product, sku));
+            const total = product.skus.reduce((sum, sku) => sum + sku.quantity, 0);
+            if (total !== product.quantity) {
+                // The product total drifted from its SKUs.
+                result.mismatches.push({
+                    productId: product._id,
+                    skuId: null,
+                    name: product.name,
+                    stock: product.quantity,
+                    ledger: total,
+                    difference: product.quantity - total
+                });
+            }
+        } else {
+            compare(product, null);
+        }
+    }
+    return result;
+};
+
+module.exports = {
+    orderReference,
+    recordStockMovement,
+    getStockLevels,
+    recordStockChanges,
+    getStockHistory,
+    checkStockConsistency
+};
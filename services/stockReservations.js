@@ -0,0 +1,92 @@
+/**
+ * FILE: ./services/stockReservations.js
+ * DESC: Expiry of the stock reserved by unconfirmed orders.
+ *
+ * An order placed while the tenant's `SiteConfig.stockReservation` is enabled reserves its stock
+ * until `reservationExpiresAt`. Reservations still unconfirmed by then are released, so abandoned
+ * COD orders stop blocking sales; the order stays in its status and deducts stock (if any is
+ * left) once confirmed. See services/orderStatus.js for the rest of the order's stock states.
+ */
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { releaseOrderStock } = require('./orderStatus');
+const { snapshotOrder, recordOrderHistory } = require('./orderHistory');
+
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+/**
+ * Releases the reservation of one order if it is still reserved and expired.
+ * @param {string} orderId - The order's MongoDB ObjectId.
+ * @param {Date} now - The current time.
+ * @returns {Promise<boolean>} Whether the reservation was released.
+ */
+const expireOrderReservation = async (orderId, now) => {
+    const session = await mongoose.startSession();
+    try {
+        let released = false;
+        await session.withTransaction(async () => {
+            released = false;
+            const order = await Order.findOne({
+                _id: orderId,
+                stockState: 'reserved',
+                reservationExpiresAt: { $lte: now }
+            }).session(session);
+            if (!order) {
+                return;
+            }
+            const before = snapshotOrder(order);
+            await releaseOrderStock({ order, session });
+            await order.save({ session });
+            await recordOrderHistory({ order, before, action: 'reservation_expired', actorType: 'system', session });
+            released = true;
+        });
+        return released;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Releases every expired reservation, across all tenants.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<number>} The number of orders whose reservation was released.
+ */
+const expireReservations = async (now = new Date()) => {
+    let released = 0;
+    let batch;
+    let releasedInBatch;
+    do {
+        batch = await Order.find({ stockState: 'reserved', reservationExpiresAt: { $lte: now } })
+            .select('_id')
+            .sort({ reservationExpiresAt: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+        releasedInBatch = 0;
+        for (const { _id } of batch) {
+            try {
+                if (await expireOrderReservation(_id, now)) {
+                    releasedInBatch++;
+                }
+            } catch (error) {
+                console.error(`Error releasing the stock reservation of order ${_id}:`, error);
+            }
+        }
+        released += releasedInBatch;
+        // Stop on a batch that only failed, rather than retrying it forever.
+    } while (batch.length === BATCH_SIZE && releasedInBatch > 0);
+    return released;
+};
+
+/**
+ * Starts releasing expired reservations every 5 minutes.
+ * @returns {object} The interval timer (unref'd, so it never keeps the process alive).
+ */
+const startReservationScheduler = () => {
+    const run = () => expireReservations().catch(error => console.error('Error releasing expired stock reservations:', error));
+    const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { expireOrderReservation, expireReservations, startReservationScheduler };
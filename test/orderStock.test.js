@@ -0,0 +1,168 @@
+/**
+ * FILE: ./test/orderStock.test.js
+ * DESC: Runs order status transitions against product stock (services/orderStatus.js).
+ *
+ * The models are replaced by an in-memory product store that applies the same atomic
+ * `$inc` updates and `$expr` guards as MongoDB, so no database is needed.
+ */
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const SiteConfig = require('../models/sitecontroll');
+const StockMovement = require('../models/StockMovement');
+const { changeOrderStatus, takeOrderStock } = require('../services/orderStatus');
+
+const tenantId = new mongoose.Types.ObjectId();
+let products = [];
+let movements = [];
+
+// A chainable stand-in for a Mongoose query that resolves to `value`.
+const query = (value) => {
+    const chain = {
+        session: () => chain,
+        select: () => chain,
+        lean: async () => value,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    };
+    return chain;
+};
+
+// Evaluates the aggregation operators `applyStockChange` uses in its `$expr` guard.
+const evaluate = (expr, vars) => {
+    if (typeof expr === 'string' && expr.startsWith('$$')) {
+        const [name, ...path] = expr.slice(2).split('.');
+        return path.reduce((value, key) => value?.[key], vars[name]);
+    }
+    if (typeof expr === 'string' && expr.startsWith('$')) {
+        return expr.slice(1).split('.').reduce((value, key) => value?.[key], vars.ROOT);
+    }
+    if (!expr || typeof expr !== 'object' || expr instanceof mongoose.Types.ObjectId) {
+        return expr;
+    }
+    const [[operator, args]] = Object.entries(expr);
+    const values = () => args.map(arg => evaluate(arg, vars));
+    switch (operator) {
+        case '$and': return args.every(arg => evaluate(arg, vars));
+        case '$eq': { const [a, b] = values(); return String(a) === String(b); }
+        case '$gte': { const [a, b] = values(); return a >= b; }
+        case '$subtract': { const [a, b] = values(); return a - b; }
+        case '$ifNull': { const [a, b] = values(); return a ?? b; }
+        case '$arrayElemAt': { const [array, index] = values(); return array[index]; }
+        case '$filter': return evaluate(args.input, vars).filter(item => evaluate(args.cond, { ...vars, this: item }));
+        case '$let': {
+            const bound = Object.fromEntries(Object.entries(args.vars).map(([name, value]) => [name, evaluate(value, vars)]));
+            return evaluate(args.in, { ...vars, ...bound });
+        }
+        default: throw new Error(`Unsupported operator in test store: ${operator}`);
+    }
+};
+
+Product.findOneAndUpdate = (filter, update, options = {}) => {
+    const product = products.find(candidate => String(candidate._id) === String(filter._id)
+        && String(candidate.tenantId) === String(filter.tenantId)
+        && (!filter['skus._id'] || candidate.skus.some(sku => String(sku._id) === String(filter['skus._id'])))
+        && (!filter.$expr || evaluate(filter.$expr, { ROOT: candidate })));
+    if (product) {
+        const skuId = options.arrayFilters?.[0]['sku._id'];
+        for (const [field, change] of Object.entries(update.$inc)) {
+            const target = field.startsWith('skus.$[sku].')
+                ? product.skus.find(sku => String(sku._id) === String(skuId))
+                : product;
+            const name = field.split('.').pop();
+            target[name] = (target[name] || 0) + change;
+        }
+    }
+    return query(product ? structuredClone(product) : null);
+};
+SiteConfig.findOne = () => query({
+    stockReservation: { enabled: true, ttlHours: 72 },
+    stockAlerts: { enabled: false },
+    sharedBlacklist: { enabled: false }
+});
+StockMovement.exists = () => query(null);
+StockMovement.create = async (entries) => {
+    movements.push(...entries);
+    return entries;
+};
+
+const stockOf = (productId) => {
+    const product = products.find(candidate => String(candidate._id) === String(productId));
+    return { quantity: product.quantity, reserved: product.reserved };
+};
+
+const placeOrder = async (productId, quantity) => {
+    const order = new Order({
+        tenantId,
+        fullName: 'Test Customer',
+        phoneNumber: '0555123456',
+        wilaya: 'Alger',
+        commune: 'Alger Centre',
+        products: [{ productId, name: 'Test product', quantity, priceAtPurchase: 1000 }],
+        totalPrice: 1000 * quantity
+    });
+    await takeOrderStock({ order });
+    return order;
+};
+
+beforeEach(() => {
+    products = [{ _id: new mongoose.Types.ObjectId(), tenantId, quantity: 10, reserved: 0, skus: [] }];
+    movements = [];
+});
+
+test('a pending order reserves its stock and deducts it once confirmed', async () => {
+    const order = await placeOrder(products[0]._id, 3);
+    assert.strictEqual(order.stockState, 'reserved');
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 3 });
+
+    await changeOrderStatus({ order, status: 'confirmed' });
+    assert.strictEqual(order.stockState, 'deducted');
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 7, reserved: 0 });
+    assert.deepStrictEqual(movements.map(movement => [movement.type, movement.quantity, movement.balance]), [
+        ['opening_balance', 10, 10],
+        ['sale', -3, 7]
+    ]);
+});
+
+test('cancelling a pending order releases its reservation', async () => {
+    const order = await placeOrder(products[0]._id, 4);
+    await changeOrderStatus({ order, status: 'cancelled' });
+    assert.strictEqual(order.stockState, 'released');
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 0 });
+    assert.strictEqual(movements.length, 0);
+});
+
+test('a returned order restores the stock deducted at confirmation', async () => {
+    const order = await placeOrder(products[0]._id, 2);
+    for (const status of ['confirmed', 'dispatched', 'returned']) {
+        await changeOrderStatus({ order, status });
+    }
+    assert.strictEqual(order.stockState, 'released');
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 0 });
+    assert.deepStrictEqual(movements.slice(-1).map(movement => [movement.type, movement.quantity]), [['return', 2]]);
+});
+
+test('reserved stock cannot be reserved again by another order', async () => {
+    await placeOrder(products[0]._id, 8);
+    await assert.rejects(placeOrder(products[0]._id, 3), { statusCode: 409 });
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 8 });
+});
+
+test('reviving a cancelled order reserves its stock again', async () => {
+    const order = await placeOrder(products[0]._id, 5);
+    await changeOrderStatus({ order, status: 'cancelled' });
+    await changeOrderStatus({ order, status: 'pending' });
+    assert.strictEqual(order.stockState, 'reserved');
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 5 });
+});
+
+test('a confirmation agent cannot settle a delivery, but the courier can', async () => {
+    const order = await placeOrder(products[0]._id, 1);
+    await changeOrderStatus({ order, status: 'confirmed' });
+    await changeOrderStatus({ order, status: 'dispatched' });
+    await assert.rejects(changeOrderStatus({ order, status: 'returned', user: { role: 'confirmation' } }), { statusCode: 403 });
+    assert.strictEqual(order.status, 'dispatched');
+    await changeOrderStatus({ order, status: 'returned' });
+    assert.deepStrictEqual(stockOf(products[0]._id), { quantity: 10, reserved: 0 });
+});